@@ -0,0 +1,120 @@
+/**
+ * Quote form funnel events for Analytics
+ */
+
+// Follows a visitor through one quote form using ContactForm's
+// form:error / form:result events. Only field names, rules and
+// timings are sent - never what was typed.
+//
+// Analytics delegates the events from document, so forms mounted after it
+// are followed too; formName is reported as `form`, so the funnels of
+// several forms stay apart.
+export class FormFunnel {
+  constructor(formName, analytics) {
+    this.formName = formName;
+    this.analytics = analytics;
+    this.reset();
+  }
+
+  reset() {
+    this.startedAt = null;
+    this.lastField = null;
+    this.completedFields = new Set();
+    this.errorCounts = {};
+    this.abandoned = false;
+  }
+
+  handleEvent(e) {
+    switch (e.type) {
+      case 'focusin':
+        this.handleFocus(e.target);
+        break;
+      case 'focusout':
+        // Wait for ContactForm's blur validation before judging the field
+        setTimeout(() => this.checkComplete(e.target), 0);
+        break;
+      case 'change':
+        this.checkComplete(e.target);
+        break;
+      case 'form:error':
+        this.handleError(e.detail);
+        break;
+      case 'form:result':
+        this.handleResult(e.detail);
+        break;
+    }
+  }
+
+  handleFocus(target) {
+    const field = this.getFieldName(target);
+    if (!field) return;
+
+    if (!this.startedAt) {
+      this.startedAt = Date.now();
+      this.track('form_start', { field });
+    }
+    this.lastField = field;
+    this.track('form_field_focus', { field });
+  }
+
+  handleError({ field, rule }) {
+    const key = `${field}:${rule}`;
+    this.errorCounts[key] = (this.errorCounts[key] || 0) + 1;
+
+    this.track('form_validation_error', { field, rule, count: this.errorCounts[key] });
+  }
+
+  getFieldName(target) {
+    if (!target.name || !target.matches('input, select, textarea') || target.type === 'hidden') {
+      return null;
+    }
+    return target.name;
+  }
+
+  checkComplete(target) {
+    const field = this.getFieldName(target);
+    if (!field || this.completedFields.has(field)) return;
+
+    if (target.value.trim() && target.getAttribute('aria-invalid') !== 'true') {
+      this.completedFields.add(field);
+      this.track('form_field_complete', { field });
+    }
+  }
+
+  handleResult({ outcome, ...details }) {
+    const properties = {
+      outcome,
+      ...details,
+      completed_fields: this.completedFields.size,
+      duration_ms: this.getDuration()
+    };
+
+    this.track('form_submit', properties);
+
+    // The form is cleared after a successful request; the next one is a new funnel
+    if (outcome === 'success' || outcome === 'queued') {
+      this.reset();
+    }
+  }
+
+  // Started but not sent when the visitor switches away or leaves
+  handlePageHidden() {
+    if (!this.startedAt || this.abandoned) return;
+    this.abandoned = true;
+
+    this.track('form_abandon', {
+      last_field: this.lastField,
+      completed_fields: [...this.completedFields],
+      errors: Object.values(this.errorCounts).reduce((sum, count) => sum + count, 0),
+      duration_ms: this.getDuration()
+    });
+  }
+
+  getDuration() {
+    return this.startedAt ? Date.now() - this.startedAt : null;
+  }
+
+  track(name, properties) {
+    this.analytics.trackEvent(name, { form: this.formName, ...properties });
+  }
+}
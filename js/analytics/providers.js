@@ -0,0 +1,132 @@
+/**
+ * Analytics providers
+ */
+
+// Providers share one interface: start() / stop() follow analytics
+// consent, send(event) receives { name, properties, timestamp, page,
+// locale } and flush() runs when the page is hidden or unloaded
+
+export class Ga4Provider {
+  constructor({ measurementId }) {
+    this.name = 'ga4';
+    this.measurementId = measurementId;
+    this.loaded = false;
+  }
+
+  start() {
+    window[`ga-disable-${this.measurementId}`] = false;
+    this.load();
+  }
+
+  // GA's opt-out flag stops it straight away, even with gtag already loaded
+  stop() {
+    window[`ga-disable-${this.measurementId}`] = true;
+    this.removeCookies();
+  }
+
+  load() {
+    if (this.loaded) return;
+    this.loaded = true;
+
+    window.dataLayer = window.dataLayer || [];
+    window.gtag = function gtag() {
+      window.dataLayer.push(arguments);
+    };
+    window.gtag('js', new Date());
+    window.gtag('config', this.measurementId, { anonymize_ip: true });
+
+    const script = document.createElement('script');
+    script.async = true;
+    script.src = `https://www.googletagmanager.com/gtag/js?id=${encodeURIComponent(this.measurementId)}`;
+    document.head.appendChild(script);
+  }
+
+  send(event) {
+    window.gtag('event', event.name, event.properties);
+  }
+
+  flush() {}
+
+  removeCookies() {
+    // GA sets its cookies on the top-most domain it can, so try each level
+    const parts = location.hostname.split('.');
+    const domains = [''];
+    for (let i = 0; i < parts.length - 1; i++) {
+      domains.push(`; domain=.${parts.slice(i).join('.')}`);
+    }
+
+    document.cookie.split(';')
+      .map(cookie => cookie.split('=')[0].trim())
+      .filter(name => name === '_ga' || name.startsWith('_ga_') || name === '_gid')
+      .forEach(name => {
+        domains.forEach(domain => {
+          document.cookie = `${name}=; Max-Age=0; path=/${domain}`;
+        });
+      });
+  }
+}
+
+export class CollectorProvider {
+  constructor({ endpoint, batchSize = 20 }) {
+    this.name = 'collector';
+    this.endpoint = endpoint;
+    this.batchSize = batchSize;
+    this.queue = [];
+    this.active = false;
+  }
+
+  start() {
+    this.active = true;
+  }
+
+  // Events not yet sent are dropped when consent is withdrawn
+  stop() {
+    this.active = false;
+    this.queue = [];
+  }
+
+  send(event) {
+    if (!this.active) return;
+
+    this.queue.push(event);
+    if (this.queue.length >= this.batchSize) {
+      this.flush();
+    }
+  }
+
+  flush() {
+    if (this.queue.length === 0) return;
+
+    const payload = JSON.stringify({ sentAt: new Date().toISOString(), events: this.queue });
+    this.queue = [];
+
+    if (navigator.sendBeacon && navigator.sendBeacon(this.endpoint, new Blob([payload], { type: 'application/json' }))) {
+      return;
+    }
+
+    // No sendBeacon, or it refused the payload: a keepalive fetch also outlives the page
+    fetch(this.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: payload,
+      keepalive: true,
+      credentials: 'same-origin'
+    }).catch(() => {});
+  }
+}
+
+export class ConsoleProvider {
+  constructor() {
+    this.name = 'debug';
+  }
+
+  start() {}
+
+  stop() {}
+
+  send(event) {
+    console.log('Analytics Event:', event);
+  }
+
+  flush() {}
+}
@@ -0,0 +1,86 @@
+/**
+ * Focus trapping, opt-in section announcements and keyboard focus styles
+ */
+
+import { announce } from '../core/announcer.js';
+import { Component } from '../core/component.js';
+import { t } from '../core/i18n.js';
+
+export class AccessibilityEnhancements extends Component {
+  init() {
+    this.handleFocusTrapping();
+    this.announcePageChanges();
+    this.enhanceKeyboardNavigation();
+  }
+
+  handleFocusTrapping() {
+    // Focus trapping for mobile menu
+    const mobileMenu = document.querySelector('.mobile-menu');
+    if (!mobileMenu) return;
+
+    this.listen(mobileMenu, 'keydown', (e) => {
+      if (e.key !== 'Tab') return;
+
+      const focusableElements = mobileMenu.querySelectorAll(
+        'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
+      );
+
+      const firstElement = focusableElements[0];
+      const lastElement = focusableElements[focusableElements.length - 1];
+
+      if (e.shiftKey && document.activeElement === firstElement) {
+        e.preventDefault();
+        lastElement.focus();
+      } else if (!e.shiftKey && document.activeElement === lastElement) {
+        e.preventDefault();
+        firstElement.focus();
+      }
+    });
+  }
+
+  // Opt-in with data-announce-sections on the host: announcing every section
+  // that scrolls past is noisy for most screen reader users
+  announcePageChanges() {
+    if (!this.element.hasAttribute('data-announce-sections')) return;
+    if (!('IntersectionObserver' in window)) return;
+
+    const observer = this.observe(new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          const sectionTitle = entry.target.querySelector('h2, h3');
+          if (sectionTitle) {
+            announce(t('a11y.sectionAnnounce', { title: sectionTitle.textContent }), { key: this });
+          }
+        }
+      });
+    }, { threshold: 0.5 }));
+
+    const sections = this.element.querySelectorAll('section[id]');
+    sections.forEach(section => observer.observe(section));
+  }
+
+  enhanceKeyboardNavigation() {
+    // Improve focus visibility
+    this.listen(document, 'keydown', (e) => {
+      if (e.key === 'Tab') {
+        document.body.classList.add('keyboard-navigation');
+      }
+    });
+
+    this.listen(document, 'mousedown', () => {
+      document.body.classList.remove('keyboard-navigation');
+    });
+    this.onDestroy(() => document.body.classList.remove('keyboard-navigation'));
+
+    // Skip link functionality
+    const skipLink = document.querySelector('.skip-link');
+    this.listen(skipLink, 'click', (e) => {
+      e.preventDefault();
+      const target = document.querySelector(skipLink.getAttribute('href'));
+      if (target) {
+        target.tabIndex = -1;
+        target.focus();
+      }
+    });
+  }
+}
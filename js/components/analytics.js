@@ -0,0 +1,185 @@
+/**
+ * Analytics: consent-aware event tracking with pluggable providers
+ */
+
+import { Component } from '../core/component.js';
+import { consent } from '../core/consent.js';
+import { i18n } from '../core/i18n.js';
+import { scrollScheduler } from '../core/scheduler.js';
+import { CollectorProvider, ConsoleProvider, Ga4Provider } from '../analytics/providers.js';
+import { FormFunnel } from '../analytics/form-funnel.js';
+
+export class Analytics extends Component {
+  constructor(element) {
+    super(element);
+    this.config = this.readConfig();
+    this.providers = [];
+    this.enabled = false;
+    this.stopScrollDepth = null;
+  }
+
+  init() {
+    this.registerConfiguredProviders();
+    this.trackPhoneCalls();
+
+    // Registered before the flush below so abandonment makes it into the batch
+    this.trackFormFunnel();
+
+    // Hand queued events over while the page can still send them
+    this.listen(document, 'visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        this.flush();
+      }
+    });
+    this.listen(window, 'pagehide', () => this.flush());
+
+    this.listen(document, 'consent:change', () => this.applyConsent());
+    this.applyConsent();
+
+    // Queued events are handed over; consent and provider state stay as they are
+    this.onDestroy(() => {
+      this.flush();
+      this.enabled = false;
+      this.stopScrollDepth?.();
+    });
+  }
+
+  readConfig() {
+    const script = document.getElementById('analytics-config');
+    try {
+      return script ? JSON.parse(script.textContent) : {};
+    } catch (error) {
+      console.error('Invalid analytics configuration:', error);
+      return {};
+    }
+  }
+
+  registerConfiguredProviders() {
+    const { ga4, collector, debug } = this.config;
+    const debugRequested = new URLSearchParams(location.search).has('analytics-debug');
+
+    if (ga4 && ga4.measurementId) {
+      this.register(new Ga4Provider(ga4));
+    }
+    if (collector && collector.endpoint) {
+      this.register(new CollectorProvider(collector));
+    }
+    if (debug || debugRequested) {
+      this.register(new ConsoleProvider());
+    }
+  }
+
+  register(provider) {
+    this.providers.push(provider);
+    if (this.enabled) {
+      provider.start();
+    }
+    return provider;
+  }
+
+  applyConsent() {
+    if (consent.has('analytics')) {
+      this.enable();
+    } else {
+      this.disable();
+    }
+  }
+
+  enable() {
+    if (this.enabled) return;
+    this.enabled = true;
+
+    this.providers.forEach(provider => provider.start());
+    this.trackScrollDepth();
+  }
+
+  // Withdrawal takes effect immediately: no more events reach any provider
+  disable() {
+    if (!this.enabled) return;
+    this.enabled = false;
+
+    this.providers.forEach(provider => provider.stop());
+
+    this.stopScrollDepth?.();
+    this.stopScrollDepth = null;
+  }
+
+  flush() {
+    this.providers.forEach(provider => provider.flush());
+  }
+
+  // One funnel per data-form-name: the quote form, the quote modal and the
+  // callback form. Delegated, so forms the registry mounts later count too
+  trackFormFunnel() {
+    const funnels = new Map();
+
+    ['focusin', 'focusout', 'change', 'form:error', 'form:result'].forEach(type => {
+      this.listen(document, type, (e) => {
+        const form = e.target.closest?.('form[data-component~="contact-form"]');
+        if (!form) return;
+
+        const name = form.dataset.formName || 'contact_form';
+        if (!funnels.has(name)) funnels.set(name, new FormFunnel(name, this));
+        funnels.get(name).handleEvent(e);
+      });
+    });
+
+    const pageHidden = () => funnels.forEach(funnel => funnel.handlePageHidden());
+    this.listen(document, 'visibilitychange', () => {
+      if (document.visibilityState === 'hidden') pageHidden();
+    });
+    this.listen(window, 'pagehide', pageHidden);
+  }
+
+  // Delegated, so the callback panel's link counts too. The floating button
+  // cancels its click to open that panel, which is not a call yet
+  trackPhoneCalls() {
+    this.listen(document, 'click', (e) => {
+      const link = e.target.closest('a[href^="tel:"]');
+      if (!link || e.defaultPrevented) return;
+
+      this.trackEvent('phone_click', { number: link.getAttribute('href').replace('tel:', '') });
+    });
+  }
+
+  trackScrollDepth() {
+    let maxScroll = 0;
+    const milestones = [25, 50, 75, 90];
+    
+    this.stopScrollDepth = scrollScheduler.subscribe(({ scrollY, viewportHeight, documentHeight }) => {
+      const scrollPercent = Math.round((scrollY / (documentHeight - viewportHeight)) * 100);
+
+      if (scrollPercent > maxScroll) {
+        maxScroll = scrollPercent;
+        
+        milestones.forEach(milestone => {
+          if (scrollPercent >= milestone && !this[`tracked_${milestone}`]) {
+            this.trackEvent('scroll_depth', { percent: milestone });
+            this[`tracked_${milestone}`] = true;
+          }
+        });
+      }
+    });
+  }
+
+  trackEvent(name, properties = {}) {
+    if (!this.enabled) return;
+
+    const event = {
+      name,
+      properties,
+      timestamp: new Date().toISOString(),
+      page: location.pathname,
+      locale: i18n.locale
+    };
+
+    // One failing provider must not keep the event from the others
+    this.providers.forEach(provider => {
+      try {
+        provider.send(event);
+      } catch (error) {
+        console.error(`Analytics provider "${provider.name}" failed:`, error);
+      }
+    });
+  }
+}
@@ -0,0 +1,193 @@
+/**
+ * Before/after image comparison slider
+ *
+ * Options (or data attributes): orientation ('vertical' / data-orientation),
+ * step, pageStep, peek (data-peek) to nudge the handle once it is in view
+ */
+
+import { announce } from '../core/announcer.js';
+import { Component } from '../core/component.js';
+import { t } from '../core/i18n.js';
+
+export class BeforeAfterSlider extends Component {
+  constructor(container, options = {}) {
+    super(container);
+    this.container = container;
+    this.afterImage = container.querySelector('.after-image');
+    this.handle = container.querySelector('.slider-handle');
+    this.vertical = (options.orientation || container.dataset.orientation) === 'vertical';
+    this.step = options.step || 5;
+    this.pageStep = options.pageStep || 25;
+    this.peek = options.peek ?? container.hasAttribute('data-peek');
+    this.value = 50;
+    this.pointerId = null;
+    this.peekFrame = null;
+    this.peekObserver = null;
+  }
+
+  init() {
+    // Make container focusable for keyboard users
+    this.container.setAttribute('tabindex', '0');
+    this.container.setAttribute('role', 'slider');
+    this.container.setAttribute('aria-label', t('slider.label'));
+    this.container.setAttribute('data-i18n-attr', 'aria-label:slider.label');
+    this.container.setAttribute('aria-valuemin', '0');
+    this.container.setAttribute('aria-valuemax', '100');
+    this.container.setAttribute('aria-orientation', this.vertical ? 'vertical' : 'horizontal');
+    this.container.classList.toggle('is-vertical', this.vertical);
+    this.container.closest('.before-after-wrapper')?.classList.toggle('is-vertical', this.vertical);
+
+    this.listen(this.container, 'pointerdown', (e) => this.handlePointerDown(e));
+    this.listen(this.container, 'pointermove', (e) => this.handlePointerMove(e));
+    this.listen(this.container, 'pointerup', (e) => this.handlePointerUp(e));
+    this.listen(this.container, 'pointercancel', (e) => this.handlePointerUp(e));
+    this.listen(this.container, 'keydown', (e) => this.handleKeydown(e));
+    this.listen(document, 'i18n:change', () => this.updateAria());
+
+    this.setValue(this.value);
+
+    if (this.peek) {
+      this.schedulePeek();
+    }
+  }
+
+  setValue(value) {
+    this.value = Math.max(0, Math.min(100, value));
+    const position = `${this.value}%`;
+
+    this.afterImage.style.clipPath = this.vertical
+      ? `polygon(0% ${position}, 100% ${position}, 100% 100%, 0% 100%)`
+      : `polygon(${position} 0%, 100% 0%, 100% 100%, ${position} 100%)`;
+    this.handle.style[this.vertical ? 'top' : 'left'] = position;
+
+    this.updateAria();
+  }
+
+  updateAria() {
+    const value = Math.round(this.value);
+    this.container.setAttribute('aria-valuenow', value);
+    this.container.setAttribute('aria-valuetext', t('slider.valueText', { before: value, after: 100 - value }));
+  }
+
+  getValueFromPointer(e) {
+    const rect = this.container.getBoundingClientRect();
+
+    return this.vertical
+      ? ((e.clientY - rect.top) / rect.height) * 100
+      : ((e.clientX - rect.left) / rect.width) * 100;
+  }
+
+  handlePointerDown(e) {
+    if (this.pointerId !== null || (e.pointerType === 'mouse' && e.button !== 0)) return;
+
+    this.cancelPeek();
+    this.pointerId = e.pointerId;
+    this.container.setPointerCapture(e.pointerId);
+    this.container.classList.add('is-sliding');
+    this.setValue(this.getValueFromPointer(e));
+  }
+
+  handlePointerMove(e) {
+    if (e.pointerId !== this.pointerId) return;
+    this.setValue(this.getValueFromPointer(e));
+  }
+
+  handlePointerUp(e) {
+    if (e.pointerId !== this.pointerId) return;
+
+    if (this.container.hasPointerCapture(e.pointerId)) {
+      this.container.releasePointerCapture(e.pointerId);
+    }
+    this.pointerId = null;
+    this.container.classList.remove('is-sliding');
+
+    // Keyboard changes are read from aria-valuetext; a drag is announced
+    // once, when it ends
+    announce(this.container.getAttribute('aria-valuetext'), { key: this });
+  }
+
+  handleKeydown(e) {
+    // Arrow keys move the handle in the direction pressed
+    const steps = this.vertical
+      ? { ArrowUp: -this.step, ArrowDown: this.step, ArrowLeft: -this.step, ArrowRight: this.step }
+      : { ArrowLeft: -this.step, ArrowDown: -this.step, ArrowRight: this.step, ArrowUp: this.step };
+    steps.PageDown = -this.pageStep;
+    steps.PageUp = this.pageStep;
+
+    let value;
+    if (e.key === 'Home') {
+      value = 0;
+    } else if (e.key === 'End') {
+      value = 100;
+    } else if (e.key in steps) {
+      value = this.value + steps[e.key];
+    } else {
+      return;
+    }
+
+    e.preventDefault();
+    this.cancelPeek();
+    this.setValue(value);
+  }
+
+  // Plays the peek once, the first time the slider is mostly in view
+  schedulePeek() {
+    const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    if (reducedMotion || !('IntersectionObserver' in window)) return;
+
+    this.peekObserver = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        this.peekObserver.disconnect();
+        this.peekObserver = null;
+        this.playPeek();
+      }
+    }, { threshold: 0.6 });
+
+    this.peekObserver.observe(this.container);
+  }
+
+  // Nudges the handle to each side and back to show it can be dragged
+  playPeek() {
+    const duration = 1200;
+    const start = performance.now();
+
+    const frame = (now) => {
+      const progress = Math.min((now - start) / duration, 1);
+      this.setValue(50 + Math.sin(progress * Math.PI * 2) * 15);
+
+      if (progress < 1) {
+        this.peekFrame = requestAnimationFrame(frame);
+      } else {
+        this.cancelPeek();
+      }
+    };
+
+    this.container.classList.add('is-sliding');
+    this.peekFrame = requestAnimationFrame(frame);
+  }
+
+  cancelPeek() {
+    if (this.peekObserver) {
+      this.peekObserver.disconnect();
+      this.peekObserver = null;
+    }
+
+    if (this.peekFrame !== null) {
+      cancelAnimationFrame(this.peekFrame);
+      this.peekFrame = null;
+      this.container.classList.remove('is-sliding');
+    }
+  }
+
+  destroy() {
+    this.cancelPeek();
+
+    if (this.pointerId !== null && this.container.hasPointerCapture(this.pointerId)) {
+      this.container.releasePointerCapture(this.pointerId);
+    }
+    this.pointerId = null;
+    this.container.classList.remove('is-sliding');
+
+    super.destroy();
+  }
+}
@@ -0,0 +1,199 @@
+/**
+ * Callback panel behind the floating call button
+ *
+ * Shows whether we are open now, from the hours and holidays in
+ * data/business-hours.json (in its own time zone, not the visitor's).
+ * During hours it offers a call; otherwise a short callback form. That form
+ * is mounted as a ContactForm of its own, so it is validated and sent the
+ * same way as the quote form.
+ */
+
+import { Component } from '../core/component.js';
+import { i18n, t } from '../core/i18n.js';
+import { addDays, formatTime, getZonedParts, loadJSON, parseTime } from '../core/utils.js';
+
+export class CallbackPanel extends Component {
+  constructor(element) {
+    super(element);
+    this.button = element.querySelector('.floating-cta-btn');
+    this.panel = element.querySelector('.callback-panel');
+    this.status = element.querySelector('.callback-status');
+    this.callLink = element.querySelector('.callback-call');
+    this.formToggle = element.querySelector('.callback-form-toggle');
+    this.form = element.querySelector('.callback-form');
+    this.windowSelect = element.querySelector('[name="callback_window"]');
+    this.hours = null;
+    this.formRequested = false;
+    this.timer = null;
+  }
+
+  async init() {
+    if (!this.button || !this.panel) return;
+
+    let hours;
+    try {
+      hours = await loadJSON(this.element.dataset.hours || 'data/business-hours.json');
+    } catch (error) {
+      // The button stays a plain tel: link
+      console.error('Business hours unavailable:', error);
+      return;
+    }
+    if (this.destroyed) return;
+
+    this.hours = hours;
+    this.renderWindows();
+
+    this.button.setAttribute('role', 'button');
+    this.button.setAttribute('aria-expanded', 'false');
+    this.button.setAttribute('aria-controls', this.panel.id);
+    this.onDestroy(() => {
+      this.close({ returnFocus: false });
+      ['role', 'aria-expanded', 'aria-controls'].forEach(name => this.button.removeAttribute(name));
+    });
+
+    this.listen(this.button, 'click', (e) => {
+      e.preventDefault();
+      this.toggle();
+    });
+    // Links only react to Enter; as a button it should react to Space too
+    this.listen(this.button, 'keydown', (e) => {
+      if (e.key === ' ') {
+        e.preventDefault();
+        this.toggle();
+      }
+    });
+
+    this.listen(this.panel.querySelector('.callback-close'), 'click', () => this.close());
+    this.listen(this.formToggle, 'click', () => {
+      this.formRequested = true;
+      this.update();
+      this.form.querySelector('input:not([type="hidden"])')?.focus();
+    });
+
+    this.listen(document, 'keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen) this.close();
+    });
+    this.listen(document, 'click', (e) => {
+      if (this.isOpen && !this.element.contains(e.target)) this.close({ returnFocus: false });
+    });
+    this.listen(document, 'i18n:change', () => {
+      if (this.isOpen) this.update();
+    });
+  }
+
+  get isOpen() {
+    return !this.panel.hidden;
+  }
+
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  open() {
+    this.update();
+    this.panel.hidden = false;
+    this.button.setAttribute('aria-expanded', 'true');
+    this.panel.focus();
+
+    // Keeps "open now" honest while the panel is left open
+    this.timer = setInterval(() => this.update(), 60 * 1000);
+  }
+
+  close({ returnFocus = true } = {}) {
+    if (!this.isOpen) return;
+
+    this.panel.hidden = true;
+    this.button.setAttribute('aria-expanded', 'false');
+    clearInterval(this.timer);
+    this.timer = null;
+
+    if (returnFocus) this.button.focus();
+  }
+
+  // Calls during hours; the form after hours, or when asked for
+  update() {
+    const status = this.getStatus();
+    this.status.textContent = this.describe(status);
+    this.status.classList.toggle('is-open', status.open);
+
+    const showForm = !status.open || this.formRequested;
+    this.callLink.hidden = !status.open;
+    this.formToggle.hidden = showForm;
+    this.form.hidden = !showForm;
+  }
+
+  describe(status) {
+    if (status.open) {
+      return t('callback.openUntil', { time: formatTime(status.until) });
+    }
+
+    const closed = status.holiday
+      ? t('callback.holiday', { name: i18n.pick(status.holiday.name) })
+      : t('callback.closed');
+    if (!status.next) return closed;
+
+    return `${closed} ${t('callback.opensAt', {
+      day: this.formatDay(status.next),
+      time: formatTime(status.next.minutes)
+    })}`;
+  }
+
+  formatDay({ date, offset }) {
+    if (offset === 0) return t('callback.today');
+    if (offset === 1) return t('callback.tomorrow');
+
+    return new Intl.DateTimeFormat(i18n.intlLocale, { weekday: 'long', timeZone: 'UTC' })
+      .format(new Date(`${date}T00:00:00Z`));
+  }
+
+  // { open: true, until } or { open: false, holiday, next: { date, offset, minutes } }
+  getStatus(now = new Date()) {
+    const { date, minutes } = getZonedParts(now, this.hours.timeZone);
+    const today = this.hoursOn(date);
+
+    if (today && minutes >= today.start && minutes < today.end) {
+      return { open: true, until: today.end };
+    }
+
+    // Two weeks covers the longest break (Christmas to New Year)
+    let next = null;
+    for (let offset = 0; offset <= 14 && !next; offset++) {
+      const day = addDays(date, offset);
+      const hours = this.hoursOn(day);
+      if (hours && (offset > 0 || minutes < hours.start)) {
+        next = { date: day, offset, minutes: hours.start };
+      }
+    }
+
+    return { open: false, holiday: this.getHoliday(date), next };
+  }
+
+  // Opening hours in minutes for a date (YYYY-MM-DD), or null when closed
+  hoursOn(date) {
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    if (!this.hours.workingDays.includes(weekday) || this.getHoliday(date)) return null;
+
+    const { start, end } = this.hours.hoursByDay?.[weekday] || this.hours.hours;
+    return { start: parseTime(start), end: parseTime(end) };
+  }
+
+  getHoliday(date) {
+    return (this.hours.holidays || []).find(holiday => holiday.date === date) || null;
+  }
+
+  renderWindows() {
+    if (!this.windowSelect) return;
+
+    (this.hours.callbackWindows || []).forEach(({ start, end }) => {
+      const option = document.createElement('option');
+      option.value = `${start}-${end}`;
+      option.textContent = `${start} – ${end}`;
+      this.windowSelect.appendChild(option);
+      this.onDestroy(() => option.remove());
+    });
+  }
+}
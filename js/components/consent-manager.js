@@ -0,0 +1,97 @@
+/**
+ * Cookie consent banner, settings dialog and footer link
+ */
+
+import { Component } from '../core/component.js';
+import { consent } from '../core/consent.js';
+import { trapFocus } from '../core/utils.js';
+
+export class ConsentManager extends Component {
+  constructor(element) {
+    super(element);
+    this.banner = document.querySelector('.consent-banner');
+    this.dialog = document.querySelector('.consent-dialog');
+    this.form = document.querySelector('.consent-form');
+    this.returnFocus = null;
+  }
+
+  init() {
+    document.querySelectorAll('[data-consent="accept"]').forEach(button => {
+      this.listen(button, 'click', () => this.save({ analytics: true, marketing: true }));
+    });
+    document.querySelectorAll('[data-consent="reject"]').forEach(button => {
+      this.listen(button, 'click', () => this.save({ analytics: false, marketing: false }));
+    });
+    document.querySelectorAll('[data-consent="customize"], .consent-open').forEach(button => {
+      this.listen(button, 'click', () => this.openDialog());
+    });
+
+    if (this.dialog && this.form) {
+      this.listen(this.form, 'submit', (e) => {
+        e.preventDefault();
+        this.save({
+          analytics: this.form.elements.analytics.checked,
+          marketing: this.form.elements.marketing.checked
+        });
+      });
+
+      this.listen(this.dialog.querySelector('.consent-close'), 'click', () => this.closeDialog());
+
+      // Close when clicking the backdrop
+      this.listen(this.dialog, 'click', (e) => {
+        if (e.target === this.dialog) this.closeDialog();
+      });
+
+      this.listen(this.dialog, 'keydown', (e) => {
+        if (e.key === 'Escape') {
+          this.closeDialog();
+        } else if (e.key === 'Tab') {
+          trapFocus(this.form, e);
+        }
+      });
+    }
+
+    if (!consent.decided && this.banner) {
+      this.banner.hidden = false;
+    }
+  }
+
+  save(categories) {
+    consent.save(categories);
+
+    if (this.banner) this.banner.hidden = true;
+    this.closeDialog();
+  }
+
+  openDialog() {
+    if (!this.dialog || !this.form) return;
+
+    this.form.elements.analytics.checked = consent.has('analytics');
+    this.form.elements.marketing.checked = consent.has('marketing');
+
+    this.returnFocus = document.activeElement;
+    this.dialog.hidden = false;
+    document.body.style.overflow = 'hidden';
+    this.form.elements.analytics.focus();
+  }
+
+  closeDialog() {
+    if (!this.dialog || this.dialog.hidden) return;
+
+    this.dialog.hidden = true;
+    document.body.style.overflow = '';
+
+    // The banner's settings button may be hidden by now; fall back to the footer link
+    const target = this.returnFocus && this.returnFocus.offsetParent !== null
+      ? this.returnFocus
+      : document.querySelector('.consent-open');
+    target?.focus();
+    this.returnFocus = null;
+  }
+
+  destroy() {
+    this.closeDialog();
+    if (this.banner) this.banner.hidden = true;
+    super.destroy();
+  }
+}
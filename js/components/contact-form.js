@@ -0,0 +1,405 @@
+/**
+ * Quote form: validation, submission and the widgets inside it
+ *
+ * Fields are checked against the schema in forms/validation.js, the one the
+ * server uses too; a failed submit lists every problem in an error summary
+ * that links to the fields.
+ */
+
+import { announce, announcer } from '../core/announcer.js';
+import { Component } from '../core/component.js';
+import { i18n, t } from '../core/i18n.js';
+import { debounce, findErrorElement } from '../core/utils.js';
+import { FormTransport } from '../forms/transport.js';
+import { SlotPicker } from '../forms/slot-picker.js';
+import { SpamGuard } from '../forms/spam-guard.js';
+import { PhotoAttachments } from '../forms/photo-attachments.js';
+import { PhoneInput } from '../forms/phone.js';
+import { checkField, quoteSchema } from '../forms/validation.js';
+import { CoverageChecker } from './coverage-checker.js';
+
+// Hidden fields the server may name, shown on the control they come from
+const FIELD_ALIASES = { phone_e164: 'phone' };
+
+export class ContactForm extends Component {
+  constructor(form) {
+    super(form);
+    this.form = form;
+    this.transport = FormTransport.fromForm(form);
+  }
+
+  init() {
+    this.listen(this.form, 'submit', (e) => this.handleSubmit(e));
+
+    // Real-time validation; photo errors are handled by PhotoAttachments
+    const inputs = this.form.querySelectorAll('input:not([type="file"]), textarea, select');
+    inputs.forEach(input => {
+      const clearErrors = debounce(() => this.clearErrors(input), 300);
+      this.listen(input, 'blur', () => this.validateField(input));
+      this.listen(input, 'input', clearErrors);
+      this.onDestroy(() => clearErrors.cancel());
+    });
+
+    // Estimates chosen in the PriceEstimator are attached to the request,
+    // in the form that has room for one
+    this.estimateField = this.form.querySelector('input[name="estimate"]');
+    this.estimateSummary = this.form.querySelector('.form-estimate');
+    if (this.estimateField) {
+      this.listen(document, 'estimate:apply', (e) => this.applyEstimate(e.detail));
+    }
+    this.listen(this.estimateSummary?.querySelector('.form-estimate-remove'), 'click', () => this.clearEstimate());
+
+    const slotContainer = this.form.querySelector('.slot-picker');
+    this.slotPicker = slotContainer ? this.adopt(new SlotPicker(slotContainer, this.form)) : null;
+
+    // Only the slot picker knows which times are still free
+    this.schema = this.slotPicker ? {
+      ...quoteSchema,
+      appointment_time: [{
+        type: 'custom',
+        name: 'slot',
+        check: () => {
+          const message = this.slotPicker.validate();
+          return !message || { message };
+        }
+      }]
+    } : quoteSchema;
+
+    // Messages by field, for the summary: not every field has an .error-message
+    this.errors = new Map();
+    this.errorSummary = null;
+    this.listen(this.form, 'click', (e) => {
+      const link = e.target.closest('.form-error-summary a[data-field]');
+      if (!link) return;
+
+      // Handled here rather than by SmoothScroll: the hash would only add a history entry
+      e.preventDefault();
+      const field = this.form.elements.namedItem(link.dataset.field);
+      field.focus();
+      field.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    });
+
+    this.spamGuard = this.adopt(new SpamGuard(this.form));
+
+    const coverageField = this.form.querySelector('.coverage-field');
+    this.coverage = coverageField ? this.adopt(new CoverageChecker(coverageField)) : null;
+
+    const attachmentsContainer = this.form.querySelector('.photo-attachments');
+    this.attachments = attachmentsContainer ? this.adopt(new PhotoAttachments(attachmentsContainer, this.form)) : null;
+
+    const phoneField = this.form.querySelector('input[type="tel"]');
+    this.phoneInput = phoneField
+      ? this.adopt(new PhoneInput(phoneField, this.form.querySelector('input[name="phone_e164"]')))
+      : null;
+  }
+
+  applyEstimate(estimate) {
+    const serviceSelect = this.form.elements.namedItem('service');
+    if (serviceSelect) {
+      serviceSelect.value = estimate.service;
+      serviceSelect.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    if (this.estimateField) {
+      this.estimateField.value = JSON.stringify(estimate);
+    }
+
+    if (this.estimateSummary) {
+      this.estimateSummary.querySelector('.form-estimate-text').textContent =
+        t('form.estimateSummary', { summary: estimate.summary });
+      this.estimateSummary.hidden = false;
+    }
+  }
+
+  clearEstimate() {
+    if (this.estimateField) {
+      this.estimateField.value = '';
+    }
+    if (this.estimateSummary) {
+      this.estimateSummary.hidden = true;
+    }
+  }
+
+  handleSubmit(e) {
+    e.preventDefault();
+    
+    const invalid = this.validateForm();
+    
+    if (invalid.length > 0) {
+      this.emit('result', { outcome: 'invalid', errors: invalid.length });
+      this.showErrorSummary(invalid);
+      return;
+    }
+    this.hideErrorSummary();
+
+    // Read the data after validation, which fills in phone_e164,
+    // and the coverage check, in case Enter was pressed in that field
+    this.coverage?.check();
+    const formData = new FormData(this.form);
+    this.submitForm(formData);
+  }
+
+  // Lifecycle events for the analytics funnel; they never carry field values
+  emit(type, detail) {
+    this.form.dispatchEvent(new CustomEvent(`form:${type}`, { bubbles: true, detail }));
+  }
+
+  // Checks every field the schema knows; returns the invalid ones in form order
+  validateForm() {
+    const fields = Array.from(this.form.elements)
+      .filter(field => field.type !== 'hidden' && this.schema[field.name]);
+
+    return fields.filter(field => !this.validateField(field));
+  }
+
+  validateField(field) {
+    // Clear previous errors
+    this.clearErrors(field);
+
+    // Keeps phone_e164 in step with the number being checked
+    if (field === this.phoneInput?.input) this.phoneInput.update();
+
+    const error = checkField(this.schema, field.name, this.getValues(), { locale: i18n.locale, translate: t });
+    if (error) {
+      this.showError(field, error.message, error.rule);
+    }
+
+    return !error;
+  }
+
+  // Text values by field name, as the server receives them
+  getValues() {
+    return Object.fromEntries(new FormData(this.form));
+  }
+
+  // Errors without a client-side rule come from the server's response
+  showError(field, message, rule = 'server') {
+    const errorElement = findErrorElement(this.form, field);
+    
+    field.classList.add('error');
+    field.setAttribute('aria-invalid', 'true');
+    this.errors.set(field, message);
+    
+    if (errorElement) {
+      errorElement.textContent = message;
+      errorElement.setAttribute('aria-live', 'polite');
+    }
+
+    this.emit('error', { field: field.name, rule });
+  }
+
+  clearErrors(field) {
+    const errorElement = findErrorElement(this.form, field);
+    
+    field.classList.remove('error');
+    field.setAttribute('aria-invalid', 'false');
+    this.errors.delete(field);
+    
+    if (errorElement) {
+      errorElement.textContent = '';
+    }
+
+    // A corrected field leaves the summary, and the summary goes with the last one
+    this.errorSummary?.querySelector(`li[data-field="${field.name}"]`)?.remove();
+    if (this.errorSummary && !this.errorSummary.querySelector('li')) {
+      this.hideErrorSummary();
+    }
+  }
+
+  // One link per invalid field, named by its label. Focus moves to the
+  // summary, so screen readers read the whole list once
+  showErrorSummary(fields) {
+    this.hideErrorSummary();
+
+    const summary = document.createElement('div');
+    summary.className = 'form-error-summary';
+    summary.setAttribute('tabindex', '-1');
+
+    const title = document.createElement('p');
+    title.className = 'form-error-summary-title';
+    title.textContent = t('form.errorSummary');
+
+    const list = document.createElement('ul');
+    fields.forEach(field => {
+      const label = field.labels?.[0]?.textContent.replace(/\s*\*\s*$/, '').trim();
+      const message = this.errors.get(field) || '';
+
+      const item = document.createElement('li');
+      item.dataset.field = field.name;
+      const link = document.createElement('a');
+      link.href = `#${field.id}`;
+      link.dataset.field = field.name;
+      link.textContent = label ? `${label}: ${message}` : message;
+      item.appendChild(link);
+      list.appendChild(item);
+    });
+
+    summary.append(title, list);
+    this.form.insertBefore(summary, this.form.firstChild);
+    this.errorSummary = summary;
+
+    summary.focus();
+    summary.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
+
+  hideErrorSummary() {
+    this.errorSummary?.remove();
+    this.errorSummary = null;
+  }
+
+  async submitForm(formData) {
+    const submitButton = this.form.querySelector('button[type="submit"]');
+    const originalContent = submitButton.innerHTML;
+    const appointment = this.slotPicker?.getSelection();
+    const serviceSelect = this.form.elements.namedItem('service');
+    const serviceLabel = serviceSelect?.value ? serviceSelect.selectedOptions[0].textContent : '';
+    
+    try {
+      // Show loading state
+      submitButton.disabled = true;
+      this.showProgress(t('form.sending'));
+
+      const spamReason = await this.spamGuard.check(formData);
+      if (spamReason) {
+        this.handleSpam(spamReason);
+        return;
+      }
+
+      await this.spamGuard.attachProof(formData);
+
+      if (this.attachments?.count) {
+        this.showProgress(t('form.photos.preparing'));
+      }
+      const photos = this.attachments ? await this.attachments.appendTo(formData) : 0;
+
+      const result = await this.transport.send(formData, {
+        onProgress: photos ? (percent) => {
+          this.showProgress(t('form.uploading', { percent }));
+        } : null
+      });
+
+      // The service worker answers with { queued: true } while offline
+      if (result && result.queued) {
+        this.showQueued();
+      } else {
+        this.showSuccess();
+      }
+      this.emit('result', { outcome: result && result.queued ? 'queued' : 'success' });
+      await this.spamGuard.remember(formData);
+      this.spamGuard.reset();
+      this.form.reset();
+      this.clearEstimate();
+
+      if (appointment) {
+        this.slotPicker.reserve(appointment);
+        this.slotPicker.offerCalendarEvent(appointment, {
+          name: formData.get('name'),
+          service: serviceLabel
+        });
+      }
+      this.slotPicker?.reset();
+
+    } catch (error) {
+      console.error('Form submission error:', error);
+
+      if (error.fieldErrors && this.showFieldErrors(error.fieldErrors)) {
+        this.emit('result', { outcome: 'rejected', status: error.status });
+      } else if (error.status === 403 && error.reason) {
+        // The server refused the spam proof; start over with a fresh one
+        this.spamGuard.reset();
+        this.emit('result', { outcome: 'blocked', reason: error.reason });
+        this.showSubmissionError(t('form.spam.rejected'));
+      } else {
+        this.emit('result', { outcome: 'failure', status: error.status || null });
+        this.showSubmissionError();
+      }
+    } finally {
+      // Restore button state
+      submitButton.disabled = false;
+      submitButton.innerHTML = originalContent;
+    }
+  }
+
+  handleSpam(reason) {
+    this.emit('result', { outcome: 'blocked', reason });
+
+    // Bots filling the honeypot see the usual success and learn nothing
+    if (reason === 'honeypot') {
+      this.showSuccess();
+      this.form.reset();
+      return;
+    }
+
+    const messages = {
+      too_fast: 'form.spam.tooFast',
+      throttled: 'form.spam.throttled',
+      duplicate: 'form.spam.duplicate'
+    };
+    this.showSubmissionError(t(messages[reason]));
+  }
+
+  // Map server-side validation errors ({ fieldName: message }) onto the form.
+  // Errors for fields the visitor cannot see or focus go in the error banner
+  showFieldErrors(fieldErrors) {
+    const fields = [];
+    const unplaced = [];
+
+    Object.entries(fieldErrors).forEach(([name, message]) => {
+      const field = this.form.elements.namedItem(FIELD_ALIASES[name] || name);
+      if (!field || !field.name || field.type === 'hidden') {
+        unplaced.push(message);
+      } else if (!fields.includes(field)) {
+        this.showError(field, message);
+        fields.push(field);
+      }
+    });
+
+    if (fields.length > 0) {
+      // In form order, like the client's own errors, whatever order the server used
+      fields.sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+      this.showErrorSummary(fields);
+    }
+    if (unplaced.length > 0) {
+      this.showSubmissionError(unplaced.join(' '));
+    }
+    return fields.length > 0 || unplaced.length > 0;
+  }
+
+  showSuccess() {
+    this.showBanner('success', t('form.success'), 5000);
+  }
+
+  showQueued() {
+    this.showBanner('queued', t('form.queued'), 8000);
+  }
+
+  showSubmissionError(text = t('form.failure')) {
+    this.showBanner('error', text, 8000);
+  }
+
+  // Progress replaces itself in the announcer, so screen readers hear at
+  // most one update per interval rather than every percent
+  showProgress(text) {
+    this.form.querySelector('button[type="submit"]').textContent = text;
+    announce(text, { key: this });
+  }
+
+  // Colours come from .form-banner in the stylesheet so they follow the theme
+  showBanner(kind, text, duration) {
+    const message = document.createElement('div');
+    message.className = `form-banner is-${kind}`;
+    message.textContent = text;
+
+    // Progress still waiting to be read is out of date now
+    announcer.cancel(this);
+    announce(text, { priority: kind === 'error' ? 'assertive' : 'polite' });
+
+    this.form.insertBefore(message, this.form.firstChild);
+
+    setTimeout(() => {
+      message.remove();
+    }, duration);
+
+    return message;
+  }
+}
@@ -0,0 +1,242 @@
+/**
+ * Service area: zones with surcharges and the coverage checker
+ */
+
+import { Component } from '../core/component.js';
+import { i18n, t } from '../core/i18n.js';
+import { loadJSON } from '../core/utils.js';
+
+// Ray casting; points and polygons are [longitude, latitude]
+const pointInPolygon = ([x, y], polygon) => {
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+};
+
+// Great-circle distance in kilometres
+const distanceKm = ([lng1, lat1], [lng2, lat2]) => {
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+  return 6371 * 2 * Math.asin(Math.sqrt(a));
+};
+
+// "ж.к. Младост 1" -> "ж к младост 1"
+const normalizePlaceName = (text) => String(text).toLowerCase().replace(/[.,;\-\s]+/g, ' ').trim();
+
+// One request per data file, shared by every checker on the page
+const serviceAreas = new Map();
+
+// Zones are listed innermost first: the first one containing a place wins
+export class ServiceArea {
+  constructor({ currency, zones, places }) {
+    this.currency = currency;
+    this.zones = zones;
+    this.places = places.map(place => ({ ...place, zone: this.zoneAt(place.location) }));
+    this.covered = this.places.filter(place => place.zone);
+  }
+
+  static load(url) {
+    if (!serviceAreas.has(url)) {
+      serviceAreas.set(url, loadJSON(url).then(data => new ServiceArea(data)));
+    }
+    return serviceAreas.get(url);
+  }
+
+  zoneAt(point) {
+    return this.zones.find(zone => pointInPolygon(point, zone.polygon)) || null;
+  }
+
+  // A postal code, or a district / village name in either language
+  find(query) {
+    const text = normalizePlaceName(query);
+    if (!text) return null;
+
+    if (/^\d{4}$/.test(text)) {
+      return this.places.find(place => place.postalCodes.includes(text)) || null;
+    }
+
+    // Longest name contained in the query: "център на софия" before "софия"
+    let best = null;
+    let bestLength = 0;
+    this.places.forEach(place => {
+      [place.name.bg, place.name.en, ...(place.aliases || [])].forEach(name => {
+        const candidate = normalizePlaceName(name);
+        if (candidate.length > bestLength && ` ${text} `.includes(` ${candidate} `)) {
+          best = place;
+          bestLength = candidate.length;
+        }
+      });
+    });
+
+    return best;
+  }
+
+  nearestCovered(point) {
+    let nearest = null;
+    this.covered.forEach(place => {
+      const distance = distanceKm(point, place.location);
+      if (!nearest || distance < nearest.distance) {
+        nearest = { place, distance };
+      }
+    });
+    return nearest;
+  }
+
+  check(query) {
+    const place = this.find(query);
+    if (!place) return { query, place: null };
+
+    return {
+      query,
+      place,
+      zone: place.zone,
+      covered: Boolean(place.zone),
+      surcharge: place.zone ? place.zone.surcharge : null,
+      nearest: place.zone ? null : this.nearestCovered(place.location)
+    };
+  }
+}
+
+// Works as a standalone form (.coverage-checker) or as a field inside the
+// contact form, where the result is stored in the hidden "coverage" input
+export class CoverageChecker extends Component {
+  constructor(container) {
+    super(container);
+    this.container = container;
+    this.input = container.querySelector('.coverage-input');
+    this.output = container.querySelector('.coverage-result');
+    this.resultField = container.querySelector('input[name="coverage"]');
+    this.datalist = this.input.list;
+    this.area = null;
+    this.result = null;
+  }
+
+  async init() {
+    let area;
+    try {
+      area = await ServiceArea.load(this.container.dataset.source || 'data/service-area.json');
+    } catch (error) {
+      // The field still works as plain text
+      console.error('Service area unavailable:', error);
+      return;
+    }
+    if (this.destroyed) return;
+
+    this.area = area;
+    if (this.container.tagName === 'FORM') {
+      this.listen(this.container, 'submit', (e) => {
+        e.preventDefault();
+        this.check();
+      });
+    }
+    this.listen(this.input, 'change', () => this.check());
+    this.listen(this.input, 'input', () => {
+      if (!this.input.value.trim()) this.clear();
+    });
+    this.listen(this.input.form, 'reset', () => this.clear());
+    this.listen(document, 'i18n:change', () => {
+      this.renderSuggestions();
+      this.render();
+    });
+
+    this.renderSuggestions();
+    this.container.hidden = false;
+  }
+
+  renderSuggestions() {
+    if (!this.datalist) return;
+
+    this.datalist.innerHTML = '';
+    this.area.places.forEach(place => {
+      this.datalist.appendChild(new Option(i18n.pick(place.name)));
+    });
+  }
+
+  // Synchronous once the data is loaded, so ContactForm can call it before reading the form
+  check() {
+    if (!this.area) return null;
+
+    const query = this.input.value.trim();
+    this.result = query ? this.area.check(query) : null;
+    this.render();
+
+    if (this.resultField) {
+      this.resultField.value = this.result && this.result.place ? JSON.stringify(this.serialize(this.result)) : '';
+    }
+    return this.result;
+  }
+
+  // What the lead carries: ids and numbers, no translated text
+  serialize({ query, place, zone, covered, surcharge, nearest }) {
+    return {
+      query,
+      place: place.id,
+      zone: zone ? zone.id : null,
+      covered,
+      surcharge,
+      currency: this.area.currency,
+      nearest: nearest ? nearest.place.id : null
+    };
+  }
+
+  clear() {
+    this.result = null;
+    this.render();
+    if (this.resultField) this.resultField.value = '';
+  }
+
+  render() {
+    const { result } = this;
+    this.output.className = 'coverage-result';
+    this.output.textContent = '';
+    if (!result) return;
+
+    if (!result.place) {
+      this.output.classList.add('is-unknown');
+      this.output.textContent = t('coverage.notFound', { query: result.query });
+      return;
+    }
+
+    const place = i18n.pick(result.place.name);
+
+    if (!result.covered) {
+      this.output.classList.add('is-outside');
+      this.output.textContent = t('coverage.outside', { place });
+
+      if (result.nearest) {
+        this.output.textContent += ` ${t('coverage.nearest', {
+          place: i18n.pick(result.nearest.place.name),
+          distance: Math.round(result.nearest.distance)
+        })}`;
+      }
+      return;
+    }
+
+    if (result.surcharge > 0) {
+      const amount = new Intl.NumberFormat(i18n.intlLocale, {
+        style: 'currency',
+        currency: this.area.currency,
+        maximumFractionDigits: 0
+      }).format(result.surcharge);
+
+      this.output.classList.add('is-surcharge');
+      this.output.textContent = t('coverage.surcharge', { place, zone: i18n.pick(result.zone.name), amount });
+      return;
+    }
+
+    this.output.classList.add('is-covered');
+    this.output.textContent = t('coverage.covered', { place });
+  }
+}
@@ -0,0 +1,201 @@
+/**
+ * FAQ accordion from data/faq.json with deep links (#faq-id) and FAQPage
+ * structured data
+ */
+
+import { Component } from '../core/component.js';
+import { i18n, t } from '../core/i18n.js';
+import { loadJSON } from '../core/utils.js';
+import { scrollToElement } from './smooth-scroll.js';
+
+export class Faq extends Component {
+  constructor(element) {
+    super(element);
+    this.list = element.querySelector('.faq-list');
+    this.toggleAllButton = element.querySelector('.faq-toggle-all');
+    this.hashPrefix = '#faq-';
+    this.items = [];
+  }
+
+  async init() {
+    if (!this.list) return;
+
+    this.listen(this.list, 'click', (e) => {
+      const button = e.target.closest('.faq-question button');
+      if (button) this.toggle(this.findItem(button), { updateHash: true });
+    });
+    this.listen(this.list, 'keydown', (e) => this.handleKeydown(e));
+    this.listen(this.toggleAllButton, 'click', () => this.toggleAll());
+
+    // Deep links: opened on load, on hash changes and from in-page links
+    this.listen(window, 'hashchange', () => this.openFromHash());
+    this.listen(window, 'popstate', () => this.openFromHash());
+    this.listen(document, 'click', (e) => {
+      const link = e.target.closest(`a[href^="${this.hashPrefix}"]`);
+      if (link) this.open(this.findItemById(link.getAttribute('href').slice(this.hashPrefix.length)));
+    });
+
+    this.listen(document, 'i18n:change', () => {
+      this.items.forEach(item => this.fillItem(item));
+      this.updateToggleAll();
+    });
+
+    let data;
+    try {
+      data = await loadJSON(this.list.dataset.source);
+    } catch (error) {
+      console.error('FAQ could not be loaded:', error);
+      return;
+    }
+    if (this.destroyed) return;
+
+    this.items = data.items.map(entry => this.createItem(entry));
+    this.items.forEach(item => this.list.appendChild(item.element));
+    this.onDestroy(() => this.items.forEach(item => item.element.remove()));
+
+    if (this.toggleAllButton) {
+      this.toggleAllButton.hidden = this.items.length < 2;
+      this.updateToggleAll();
+    }
+
+    this.addStructuredData(data.items);
+    this.openFromHash();
+  }
+
+  // Accordion pattern: a heading with a button controlling a labelled region
+  createItem(entry) {
+    const id = `faq-${entry.id}`;
+    const element = document.createElement('div');
+    element.className = 'faq-item';
+    element.id = id;
+    element.innerHTML = `
+      <h3 class="faq-question">
+        <button type="button" id="${id}-button" aria-expanded="false" aria-controls="${id}-answer">
+          <span class="faq-question-text"></span>
+          <span class="faq-icon" aria-hidden="true"></span>
+        </button>
+      </h3>
+      <div class="faq-answer" id="${id}-answer" role="region" aria-labelledby="${id}-button" hidden></div>
+    `;
+
+    const item = {
+      entry,
+      element,
+      button: element.querySelector('button'),
+      answer: element.querySelector('.faq-answer')
+    };
+    this.fillItem(item);
+
+    return item;
+  }
+
+  fillItem(item) {
+    item.button.querySelector('.faq-question-text').textContent = i18n.pick(item.entry.question);
+    item.answer.innerHTML = '';
+
+    // Blank lines in the answer separate paragraphs
+    i18n.pick(item.entry.answer).split(/\n\s*\n/).forEach(text => {
+      const paragraph = document.createElement('p');
+      paragraph.textContent = text;
+      item.answer.appendChild(paragraph);
+    });
+  }
+
+  findItem(button) {
+    return this.items.find(item => item.button === button);
+  }
+
+  findItemById(id) {
+    return this.items.find(item => item.entry.id === id);
+  }
+
+  isOpen(item) {
+    return item.button.getAttribute('aria-expanded') === 'true';
+  }
+
+  setOpen(item, open) {
+    item.button.setAttribute('aria-expanded', String(open));
+    item.answer.hidden = !open;
+    item.element.classList.toggle('open', open);
+  }
+
+  toggle(item, { updateHash = false } = {}) {
+    if (!item) return;
+
+    const open = !this.isOpen(item);
+    this.setOpen(item, open);
+    this.updateToggleAll();
+
+    // An opened question gets a shareable URL without adding history entries
+    if (updateHash && open) {
+      history.replaceState(history.state, '', `${this.hashPrefix}${item.entry.id}`);
+    }
+  }
+
+  open(item) {
+    if (!item) return;
+    this.setOpen(item, true);
+    this.updateToggleAll();
+  }
+
+  openFromHash() {
+    const hash = location.hash;
+    if (!hash.startsWith(this.hashPrefix)) return;
+
+    const item = this.findItemById(decodeURIComponent(hash.slice(this.hashPrefix.length)));
+    if (!item) return;
+
+    this.open(item);
+    scrollToElement(item.element);
+    item.button.focus({ preventScroll: true });
+  }
+
+  toggleAll() {
+    const open = !this.items.every(item => this.isOpen(item));
+    this.items.forEach(item => this.setOpen(item, open));
+    this.updateToggleAll();
+  }
+
+  updateToggleAll() {
+    if (!this.toggleAllButton) return;
+
+    const allOpen = this.items.length > 0 && this.items.every(item => this.isOpen(item));
+    this.toggleAllButton.textContent = t(allOpen ? 'faq.collapseAll' : 'faq.expandAll');
+  }
+
+  // Up/Down move between questions, Home/End jump to the first/last
+  handleKeydown(e) {
+    const index = this.items.findIndex(item => item.button === e.target);
+    if (index === -1) return;
+
+    const last = this.items.length - 1;
+    const targets = {
+      ArrowDown: index === last ? 0 : index + 1,
+      ArrowUp: index === 0 ? last : index - 1,
+      Home: 0,
+      End: last
+    };
+
+    if (e.key in targets) {
+      e.preventDefault();
+      this.items[targets[e.key]].button.focus();
+    }
+  }
+
+  // FAQPage structured data, in Bulgarian like the LocalBusiness block
+  addStructuredData(entries) {
+    const script = document.createElement('script');
+    script.type = 'application/ld+json';
+    script.textContent = JSON.stringify({
+      '@context': 'https://schema.org',
+      '@type': 'FAQPage',
+      mainEntity: entries.map(entry => ({
+        '@type': 'Question',
+        name: entry.question.bg,
+        acceptedAnswer: { '@type': 'Answer', text: entry.answer.bg }
+      }))
+    }, null, 2);
+    document.head.appendChild(script);
+    this.onDestroy(() => script.remove());
+  }
+}
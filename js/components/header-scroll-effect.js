@@ -0,0 +1,21 @@
+/**
+ * Adds .scrolled to the header once the page has scrolled
+ */
+
+import { Component } from '../core/component.js';
+import { scrollScheduler } from '../core/scheduler.js';
+
+export class HeaderScrollEffect extends Component {
+  constructor(element) {
+    super(element);
+    this.header = element;
+    this.scrollThreshold = 50;
+  }
+
+  init() {
+    this.onDestroy(scrollScheduler.subscribe(({ scrollY }) => {
+      this.header.classList.toggle('scrolled', scrollY > this.scrollThreshold);
+    }));
+    this.onDestroy(() => this.header.classList.remove('scrolled'));
+  }
+}
@@ -0,0 +1,28 @@
+/**
+ * Language switcher buttons (data-locale)
+ */
+
+import { Component } from '../core/component.js';
+import { i18n } from '../core/i18n.js';
+
+export class LanguageSwitcher extends Component {
+  constructor(element) {
+    super(element);
+    this.buttons = element.querySelectorAll('.language-btn[data-locale]');
+  }
+
+  init() {
+    this.buttons.forEach(button => {
+      this.listen(button, 'click', () => i18n.setLocale(button.dataset.locale));
+    });
+
+    this.listen(document, 'i18n:change', () => this.updateState());
+    this.updateState();
+  }
+
+  updateState() {
+    this.buttons.forEach(button => {
+      button.setAttribute('aria-pressed', String(button.dataset.locale === i18n.locale));
+    });
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * Mobile menu, mounted on .mobile-menu and opened by the header's .mobile-menu-btn
+ */
+
+import { Component } from '../core/component.js';
+import { debounce } from '../core/utils.js';
+
+export class MobileMenu extends Component {
+  constructor(element) {
+    super(element);
+    this.menuBtn = document.querySelector('.mobile-menu-btn');
+    this.menu = element;
+    this.closeBtn = element.querySelector('.mobile-menu-close');
+    this.menuLinks = element.querySelectorAll('.mobile-nav-link');
+    this.body = document.body;
+  }
+
+  init() {
+    if (!this.menuBtn) return;
+
+    this.listen(this.menuBtn, 'click', () => this.toggleMenu());
+    this.listen(this.closeBtn, 'click', () => this.closeMenu());
+
+    // Close menu when clicking on links
+    this.menuLinks.forEach(link => {
+      this.listen(link, 'click', () => this.closeMenu());
+    });
+
+    // Close menu when clicking outside
+    this.listen(this.menu, 'click', (e) => {
+      if (e.target === this.menu) {
+        this.closeMenu();
+      }
+    });
+
+    // Handle escape key
+    this.listen(document, 'keydown', (e) => {
+      if (e.key === 'Escape' && this.menu.classList.contains('active')) {
+        this.closeMenu();
+      }
+    });
+
+    // Close menu on resize to desktop
+    const handleResize = debounce(() => {
+      if (window.innerWidth > 768 && this.menu.classList.contains('active')) {
+        this.closeMenu();
+      }
+    }, 250);
+    this.listen(window, 'resize', handleResize);
+    this.onDestroy(() => handleResize.cancel());
+  }
+
+  toggleMenu() {
+    if (this.menu.classList.contains('active')) {
+      this.closeMenu();
+    } else {
+      this.openMenu();
+    }
+  }
+
+  openMenu() {
+    this.menu.classList.add('active');
+    this.menu.setAttribute('aria-hidden', 'false');
+    this.menuBtn.setAttribute('aria-expanded', 'true');
+    this.body.style.overflow = 'hidden';
+
+    // Focus first menu item for accessibility
+    const firstLink = this.menu.querySelector('.mobile-nav-link');
+    if (firstLink) {
+      setTimeout(() => firstLink.focus(), 100);
+    }
+  }
+
+  closeMenu() {
+    this.menu.classList.remove('active');
+    this.menu.setAttribute('aria-hidden', 'true');
+    this.menuBtn.setAttribute('aria-expanded', 'false');
+    this.body.style.overflow = '';
+
+    // Return focus to menu button
+    this.menuBtn.focus();
+  }
+
+  destroy() {
+    if (this.menuBtn && this.menu.classList.contains('active')) {
+      this.closeMenu();
+    }
+    super.destroy();
+  }
+}
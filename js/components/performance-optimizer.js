@@ -0,0 +1,57 @@
+/**
+ * Lazy images (img[data-src]) and other small performance tweaks
+ */
+
+import { Component } from '../core/component.js';
+
+export class PerformanceOptimizer extends Component {
+  init() {
+    // Lazy load images when they become visible
+    this.lazyLoadImages();
+
+    // Preload critical resources
+    this.preloadCriticalResources();
+
+    // Clean up animations
+    this.cleanupAnimations();
+  }
+
+  lazyLoadImages() {
+    if (!('IntersectionObserver' in window)) return;
+
+    const imageObserver = this.observe(new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          const img = entry.target;
+          if (img.dataset.src) {
+            img.src = img.dataset.src;
+            img.removeAttribute('data-src');
+          }
+          imageObserver.unobserve(img);
+        }
+      });
+    }));
+
+    const lazyImages = this.element.querySelectorAll('img[data-src]');
+    lazyImages.forEach(img => {
+      imageObserver.observe(img);
+    });
+  }
+
+  preloadCriticalResources() {
+    // Preload next page resources when user hovers over navigation
+    const navLinks = this.element.querySelectorAll('.nav-link, .mobile-nav-link');
+    navLinks.forEach(link => {
+      this.listen(link, 'mouseenter', () => {
+        // Here you could preload resources for the target page
+      }, { once: true });
+    });
+  }
+
+  cleanupAnimations() {
+    // Remove will-change property after animations complete
+    this.listen(this.element, 'animationend', (e) => {
+      e.target.style.willChange = 'auto';
+    });
+  }
+}
@@ -0,0 +1,253 @@
+/**
+ * Portfolio gallery: projects from a manifest with filters, paging and
+ * before/after sliders
+ */
+
+import { announce } from '../core/announcer.js';
+import { Component } from '../core/component.js';
+import { i18n, t } from '../core/i18n.js';
+import { loadJSON } from '../core/utils.js';
+import { BeforeAfterSlider } from './before-after-slider.js';
+import { PortfolioLightbox } from './portfolio-lightbox.js';
+
+export class PortfolioGallery extends Component {
+  constructor(element) {
+    super(element);
+    this.grid = element.querySelector('.portfolio-grid');
+    this.filterContainer = element.querySelector('.portfolio-filters');
+    this.loadMoreButton = element.querySelector('.portfolio-load-more');
+    this.emptyState = element.querySelector('.portfolio-empty[data-i18n]');
+    this.items = [];
+    this.pageSize = 6;
+    this.filter = 'all';
+    this.visibleCount = 0;
+  }
+
+  async init() {
+    if (!this.grid) return;
+
+    this.lightbox = this.adopt(new PortfolioLightbox(document.querySelector('.lightbox'), this));
+    this.initFilters();
+    this.initLightboxTriggers();
+    this.listen(this.loadMoreButton, 'click', () => this.loadMore());
+    this.listen(document, 'i18n:change', () => this.relabel());
+
+    let manifest;
+    try {
+      manifest = await loadJSON(this.grid.dataset.manifest);
+    } catch (error) {
+      console.error('Portfolio manifest could not be loaded:', error);
+      return;
+    }
+    if (this.destroyed) return;
+
+    this.pageSize = manifest.pageSize || this.pageSize;
+    this.items = [...manifest.items]
+      .sort((a, b) => b.date.localeCompare(a.date))
+      .map((data, index) => {
+        const element = this.createItem(data);
+        // Only the newest project hints that the slider can be dragged
+        const slider = this.adopt(new BeforeAfterSlider(element.querySelector('.image-container'), {
+          orientation: data.orientation,
+          peek: index === 0
+        }));
+        return { data, element, slider };
+      });
+
+    this.items.forEach(({ element }) => this.grid.appendChild(element));
+    this.onDestroy(() => this.items.forEach(({ element }) => element.remove()));
+    this.updateFilterCounts();
+    this.filterPortfolio(this.filter, { quiet: true });
+    this.lightbox.syncWithHash();
+  }
+
+  initFilters() {
+    // Delegated, so it doesn't matter when the buttons or items were created
+    this.listen(this.filterContainer, 'click', (e) => {
+      const button = e.target.closest('.filter-btn');
+      if (!button) return;
+
+      this.filterPortfolio(button.dataset.filter);
+      this.updateActiveFilter(button);
+    });
+  }
+
+  initLightboxTriggers() {
+    // Clicks on the image move the slider; the expand button and caption open the lightbox
+    this.listen(this.grid, 'click', (e) => {
+      const element = e.target.closest('.portfolio-item');
+      if (!element || e.target.closest('.image-container')) return;
+      this.openItem(element);
+    });
+
+    this.listen(this.grid, 'keydown', (e) => {
+      if (e.key === 'Enter' && e.target.matches('.image-container')) {
+        e.preventDefault();
+        this.openItem(e.target.closest('.portfolio-item'));
+      }
+    });
+  }
+
+  openItem(element) {
+    const item = this.items.find(entry => entry.element === element);
+    if (item) this.lightbox.open(item);
+  }
+
+  get filterButtons() {
+    return this.filterContainer ? this.filterContainer.querySelectorAll('.filter-btn') : [];
+  }
+
+  matches(data, filter = this.filter) {
+    return filter === 'all' || data.category === filter;
+  }
+
+  filterPortfolio(filter, { quiet = false } = {}) {
+    this.filter = filter;
+    this.visibleCount = this.pageSize;
+    this.render(0);
+    if (!quiet) this.announceCount();
+  }
+
+  loadMore() {
+    const previousCount = this.visibleCount;
+    this.visibleCount += this.pageSize;
+    this.render(previousCount);
+    this.announceCount();
+  }
+
+  // "Показани 2 от 6 проекта", counted against every project in the manifest
+  announceCount() {
+    const total = this.items.length;
+    const plural = new Intl.PluralRules(i18n.intlLocale).select(total);
+    announce(t(`portfolio.shown.${plural === 'one' ? 'one' : 'other'}`, {
+      shown: this.getVisibleItems().length,
+      total
+    }), { key: this });
+  }
+
+  // Shows the first visibleCount matches; items from animateFrom on fade in
+  render(animateFrom) {
+    const matching = this.items.filter(({ data }) => this.matches(data));
+    const visible = matching.slice(0, this.visibleCount);
+
+    this.items.forEach(({ element }) => {
+      element.hidden = !visible.some(item => item.element === element);
+    });
+
+    visible.slice(animateFrom).forEach(({ element }) => {
+      element.classList.add('fade-in');
+
+      // Remove animation class after animation completes
+      setTimeout(() => {
+        element.classList.remove('fade-in');
+      }, 500);
+    });
+
+    if (this.loadMoreButton) {
+      this.loadMoreButton.hidden = matching.length <= visible.length;
+    }
+    if (this.emptyState) {
+      this.emptyState.hidden = matching.length > 0;
+    }
+  }
+
+  getVisibleItems() {
+    return this.items.filter(({ element }) => !element.hidden);
+  }
+
+  // Makes sure a project is shown under the current filter, e.g. for deep links
+  reveal(id) {
+    const item = this.items.find(({ data }) => data.id === id);
+    if (!item) return null;
+
+    if (!this.matches(item.data)) {
+      this.filterPortfolio('all', { quiet: true });
+      this.updateActiveFilter(this.filterContainer?.querySelector('.filter-btn[data-filter="all"]'));
+    }
+
+    if (item.element.hidden) {
+      const index = this.items.filter(({ data }) => this.matches(data)).indexOf(item);
+      this.visibleCount = Math.ceil((index + 1) / this.pageSize) * this.pageSize;
+      this.render(0);
+    }
+
+    return item;
+  }
+
+  updateActiveFilter(activeButton) {
+    this.filterButtons.forEach(button => {
+      button.classList.toggle('active', button === activeButton);
+      button.setAttribute('aria-pressed', button === activeButton ? 'true' : 'false');
+    });
+  }
+
+  updateFilterCounts() {
+    this.filterButtons.forEach(button => {
+      const count = this.items.filter(({ data }) => this.matches(data, button.dataset.filter)).length;
+      let badge = button.querySelector('.filter-count');
+
+      if (!badge) {
+        badge = document.createElement('span');
+        badge.className = 'filter-count';
+        button.appendChild(badge);
+      }
+      badge.textContent = count;
+    });
+  }
+
+  createItem(data) {
+    const element = document.createElement('div');
+    element.className = 'portfolio-item';
+    element.dataset.category = data.category;
+    element.dataset.id = data.id;
+    element.hidden = true;
+    element.innerHTML = `
+      <div class="before-after-container">
+        <div class="before-after-wrapper">
+          <div class="image-container">
+            <img class="before-image" loading="lazy" decoding="async">
+            <img class="after-image" loading="lazy" decoding="async">
+            <div class="slider-handle">
+              <div class="slider-button">⟷</div>
+            </div>
+          </div>
+          <button type="button" class="portfolio-expand" data-i18n-attr="aria-label:portfolio.expand">⤢</button>
+        </div>
+        <div class="portfolio-info">
+          <h3></h3>
+          <p></p>
+          <time class="portfolio-date"></time>
+        </div>
+      </div>
+    `;
+
+    element.querySelector('.before-image').src = data.before.src;
+    element.querySelector('.after-image').src = data.after.src;
+    element.querySelector('.portfolio-expand').setAttribute('aria-label', t('portfolio.expand'));
+    this.fillItem(element, data);
+
+    return element;
+  }
+
+  // Localised text and alt attributes, refreshed on language change
+  fillItem(element, data) {
+    const date = element.querySelector('.portfolio-date');
+
+    element.querySelector('.before-image').alt = i18n.pick(data.before.alt);
+    element.querySelector('.after-image').alt = i18n.pick(data.after.alt);
+    element.querySelector('.portfolio-info h3').textContent = i18n.pick(data.title);
+    element.querySelector('.portfolio-info p').textContent = i18n.pick(data.description);
+
+    date.dateTime = data.date;
+    date.textContent = this.formatDate(data.date);
+  }
+
+  formatDate(date) {
+    return new Intl.DateTimeFormat(i18n.intlLocale, { month: 'long', year: 'numeric' })
+      .format(new Date(`${date}T12:00:00`));
+  }
+
+  relabel() {
+    this.items.forEach(({ data, element }) => this.fillItem(element, data));
+  }
+}
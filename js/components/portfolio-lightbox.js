@@ -0,0 +1,204 @@
+/**
+ * Portfolio lightbox with deep links (#project-id), keyboard and swipe
+ */
+
+import { Component } from '../core/component.js';
+import { i18n, t } from '../core/i18n.js';
+import { trapFocus } from '../core/utils.js';
+import { BeforeAfterSlider } from './before-after-slider.js';
+
+export class PortfolioLightbox extends Component {
+  constructor(element, gallery) {
+    super(element);
+    this.gallery = gallery;
+    this.hashPrefix = '#project-';
+    this.current = null;
+    this.pushedHistory = false;
+  }
+
+  init() {
+    if (!this.element) return;
+
+    this.dialog = this.element.querySelector('.lightbox-dialog');
+    this.closeButton = this.element.querySelector('.lightbox-close');
+    this.prevButton = this.element.querySelector('.lightbox-prev');
+    this.nextButton = this.element.querySelector('.lightbox-next');
+    this.counter = this.element.querySelector('.lightbox-counter');
+    this.beforeImage = this.element.querySelector('.before-image');
+    this.afterImage = this.element.querySelector('.after-image');
+    this.sliderContainer = this.element.querySelector('.image-container');
+    this.slider = null;
+
+    this.listen(this.closeButton, 'click', () => this.close());
+    this.listen(this.prevButton, 'click', () => this.step(-1));
+    this.listen(this.nextButton, 'click', () => this.step(1));
+
+    // Close when clicking the backdrop
+    this.listen(this.element, 'click', (e) => {
+      if (e.target === this.element) this.close();
+    });
+
+    this.listen(this.element, 'keydown', (e) => this.handleKeydown(e));
+    this.initSwipe();
+
+    // Back/Forward and edited URLs open or close the matching project
+    this.listen(window, 'popstate', () => this.syncWithHash());
+    this.listen(window, 'hashchange', () => this.syncWithHash());
+
+    this.listen(document, 'i18n:change', () => {
+      if (this.current) this.render();
+    });
+
+    // Closed without touching history: the page may be going away
+    this.onDestroy(() => this.close({ updateHistory: false }));
+  }
+
+  get isOpen() {
+    return Boolean(this.current);
+  }
+
+  open(item, { updateHistory = true } = {}) {
+    if (!this.element) return;
+
+    const wasOpen = this.isOpen;
+    this.current = item;
+    this.render();
+
+    // A fresh slider per project: it starts centred and follows the item's orientation
+    this.slider?.destroy();
+    this.slider = new BeforeAfterSlider(this.sliderContainer, { orientation: item.data.orientation });
+    this.slider.mount();
+
+    if (!wasOpen) {
+      this.element.hidden = false;
+      document.body.style.overflow = 'hidden';
+      this.closeButton.focus();
+    }
+
+    if (updateHistory) {
+      this.updateHash(wasOpen);
+    }
+  }
+
+  close({ updateHistory = true } = {}) {
+    if (!this.isOpen) return;
+
+    const { element } = this.current;
+    this.current = null;
+    this.element.hidden = true;
+    document.body.style.overflow = '';
+    this.slider.destroy();
+    this.slider = null;
+
+    if (updateHistory) {
+      if (this.pushedHistory) {
+        history.back();
+      } else {
+        history.replaceState(history.state, '', location.pathname + location.search);
+      }
+    }
+    this.pushedHistory = false;
+
+    // Return focus to the project that was last shown
+    element.querySelector('.portfolio-expand')?.focus();
+  }
+
+  step(direction) {
+    const sequence = this.gallery.getVisibleItems();
+    if (sequence.length < 2) return;
+
+    const index = sequence.indexOf(this.current);
+    this.open(sequence[(index + direction + sequence.length) % sequence.length]);
+  }
+
+  // Opening pushes a history entry so Back closes; browsing inside replaces it
+  updateHash(replace) {
+    const hash = `${this.hashPrefix}${encodeURIComponent(this.current.data.id)}`;
+    if (location.hash === hash) return;
+
+    if (replace) {
+      history.replaceState(history.state, '', hash);
+    } else {
+      history.pushState(null, '', hash);
+      this.pushedHistory = true;
+    }
+  }
+
+  syncWithHash() {
+    const hash = location.hash;
+    const id = hash.startsWith(this.hashPrefix) ? decodeURIComponent(hash.slice(this.hashPrefix.length)) : null;
+    const item = id ? this.gallery.reveal(id) : null;
+
+    if (item) {
+      if (item !== this.current) this.open(item, { updateHistory: false });
+    } else if (this.isOpen) {
+      this.pushedHistory = false;
+      this.close({ updateHistory: false });
+    }
+  }
+
+  render() {
+    const { data } = this.current;
+    const sequence = this.gallery.getVisibleItems();
+    const date = this.element.querySelector('.portfolio-date');
+
+    this.beforeImage.src = data.before.large || data.before.src;
+    this.beforeImage.alt = i18n.pick(data.before.alt);
+    this.afterImage.src = data.after.large || data.after.src;
+    this.afterImage.alt = i18n.pick(data.after.alt);
+
+    this.element.querySelector('#lightbox-title').textContent = i18n.pick(data.title);
+    this.element.querySelector('.lightbox-description').textContent = i18n.pick(data.description);
+    date.dateTime = data.date;
+    date.textContent = this.gallery.formatDate(data.date);
+
+    this.counter.textContent = t('lightbox.counter', {
+      index: sequence.indexOf(this.current) + 1,
+      total: sequence.length
+    });
+    this.prevButton.disabled = sequence.length < 2;
+    this.nextButton.disabled = sequence.length < 2;
+  }
+
+  handleKeydown(e) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      this.close();
+      return;
+    }
+
+    // The slider already uses the arrow keys while it has focus
+    if (e.defaultPrevented) return;
+
+    if (e.key === 'ArrowLeft') {
+      this.step(-1);
+    } else if (e.key === 'ArrowRight') {
+      this.step(1);
+    } else if (e.key === 'Tab') {
+      trapFocus(this.dialog, e);
+    }
+  }
+
+  initSwipe() {
+    let start = null;
+
+    // Touches on the image drive the before/after slider, so swipes start elsewhere
+    this.listen(this.dialog, 'touchstart', (e) => {
+      start = e.touches.length === 1 && !e.target.closest('.image-container')
+        ? { x: e.touches[0].clientX, y: e.touches[0].clientY }
+        : null;
+    }, { passive: true });
+
+    this.listen(this.dialog, 'touchend', (e) => {
+      if (!start) return;
+
+      const deltaX = e.changedTouches[0].clientX - start.x;
+      const deltaY = e.changedTouches[0].clientY - start.y;
+      start = null;
+
+      if (Math.abs(deltaX) > 50 && Math.abs(deltaX) > Math.abs(deltaY) * 1.5) {
+        this.step(deltaX < 0 ? 1 : -1);
+      }
+    });
+  }
+}
@@ -0,0 +1,240 @@
+/**
+ * Price estimator: a price range from data/pricing.json, handed to the
+ * quote form with the estimate:apply event
+ */
+
+import { Component } from '../core/component.js';
+import { i18n, t } from '../core/i18n.js';
+import { loadJSON } from '../core/utils.js';
+
+export class PriceEstimator extends Component {
+  constructor(form) {
+    super(form);
+    this.form = form;
+    this.section = form.closest('section');
+    this.pricing = null;
+  }
+
+  async init() {
+    let pricing;
+    try {
+      pricing = await loadJSON(this.form.dataset.pricing || 'data/pricing.json');
+    } catch (error) {
+      // Without a pricing table the estimator stays hidden
+      console.error('Price estimator unavailable:', error);
+      return;
+    }
+    if (this.destroyed) return;
+
+    this.pricing = pricing;
+
+    this.serviceSelect = this.form.querySelector('[name="service"]');
+    this.quantityInput = this.form.querySelector('[name="quantity"]');
+    this.quantityLabel = this.form.querySelector('[data-quantity-label]');
+    this.frequencySelect = this.form.querySelector('[name="frequency"]');
+    this.frequencyGroup = this.form.querySelector('[data-estimator-field="frequency"]');
+    this.extrasGroup = this.form.querySelector('[data-estimator-field="extras"]');
+    this.extrasList = this.form.querySelector('.estimator-extras-list');
+    this.result = this.form.querySelector('.estimate-result');
+    this.createFormatter();
+
+    this.renderServiceOptions();
+    this.renderServiceFields();
+
+    this.listen(this.serviceSelect, 'change', () => {
+      this.renderServiceFields();
+      this.update();
+    });
+    this.listen(this.form, 'input', (e) => {
+      if (e.target !== this.serviceSelect) this.update();
+    });
+    this.listen(this.form, 'submit', (e) => this.handleSubmit(e));
+    this.listen(document, 'i18n:change', () => this.relabel());
+
+    if (this.section) this.section.hidden = false;
+    this.update();
+  }
+
+  createFormatter() {
+    this.formatter = new Intl.NumberFormat(i18n.intlLocale, {
+      style: 'currency',
+      currency: this.pricing.currency,
+      maximumFractionDigits: 0
+    });
+  }
+
+  // Re-render translated labels without losing the visitor's configuration
+  relabel() {
+    const config = this.getConfiguration();
+
+    this.createFormatter();
+    this.renderServiceOptions();
+    this.serviceSelect.value = config.service;
+    this.renderServiceFields();
+
+    this.quantityInput.value = Number.isFinite(config.quantity) ? config.quantity : '';
+    if (config.visits) {
+      this.frequencySelect.value = config.visits;
+    }
+    this.form.querySelectorAll('[name="extras"]').forEach(checkbox => {
+      checkbox.checked = config.extras.includes(checkbox.value);
+    });
+
+    this.update();
+  }
+
+  renderServiceOptions() {
+    this.serviceSelect.innerHTML = '';
+    Object.entries(this.pricing.services).forEach(([id, service]) => {
+      this.serviceSelect.add(new Option(i18n.pick(service.label), id));
+    });
+  }
+
+  renderServiceFields() {
+    const service = this.getService();
+
+    this.quantityLabel.textContent = i18n.pick(service.unitLabel);
+    this.quantityInput.min = service.quantity.min;
+    this.quantityInput.max = service.quantity.max;
+    this.quantityInput.value = service.quantity.default;
+
+    // Visit frequency only applies to subscription services
+    this.frequencySelect.innerHTML = '';
+    (service.frequencies || []).forEach(frequency => {
+      this.frequencySelect.add(new Option(i18n.pick(frequency.label), frequency.visits));
+    });
+    this.frequencyGroup.hidden = !service.frequencies;
+
+    this.extrasList.innerHTML = '';
+    (service.extras || []).forEach(extra => {
+      const label = document.createElement('label');
+      label.className = 'estimator-extra';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.name = 'extras';
+      checkbox.value = extra.id;
+
+      label.append(checkbox, ` ${i18n.pick(extra.label)}`);
+      this.extrasList.appendChild(label);
+    });
+    this.extrasGroup.hidden = !service.extras || service.extras.length === 0;
+  }
+
+  getService() {
+    return this.pricing.services[this.serviceSelect.value];
+  }
+
+  getConfiguration() {
+    const service = this.getService();
+    const quantity = parseFloat(this.quantityInput.value);
+    const visits = service.frequencies ? parseInt(this.frequencySelect.value, 10) : null;
+    const extras = Array.from(this.form.querySelectorAll('[name="extras"]:checked'), input => input.value);
+
+    return { service: this.serviceSelect.value, quantity, visits, extras };
+  }
+
+  calculate(config) {
+    const service = this.pricing.services[config.service];
+    const { quantity } = config;
+
+    if (!service || !Number.isFinite(quantity) || quantity < service.quantity.min || quantity > service.quantity.max) {
+      return null;
+    }
+
+    const perVisit = ['min', 'max'].reduce((range, bound) => {
+      let price = Math.max(quantity * service.rate[bound], service.minimum[bound]);
+
+      config.extras.forEach(id => {
+        const extra = service.extras.find(item => item.id === id);
+        if (extra) {
+          price += extra.per === 'unit' ? extra.price[bound] * quantity : extra.price[bound];
+        }
+      });
+
+      range[bound] = this.round(price);
+      return range;
+    }, {});
+
+    if (!config.visits) {
+      return { perVisit, monthly: null };
+    }
+
+    const frequency = service.frequencies.find(item => item.visits === config.visits);
+    const monthly = {
+      min: this.round(perVisit.min * config.visits * frequency.factor),
+      max: this.round(perVisit.max * config.visits * frequency.factor)
+    };
+
+    return { perVisit, monthly };
+  }
+
+  round(value) {
+    const step = this.pricing.roundTo || 1;
+    return Math.round(value / step) * step;
+  }
+
+  formatRange(range) {
+    return `${this.formatter.format(range.min)} – ${this.formatter.format(range.max)}`;
+  }
+
+  describe(estimate) {
+    if (estimate.monthly) {
+      return t('estimator.monthly', {
+        monthly: this.formatRange(estimate.monthly),
+        perVisit: this.formatRange(estimate.perVisit)
+      });
+    }
+    return this.formatRange(estimate.perVisit);
+  }
+
+  update() {
+    const config = this.getConfiguration();
+    const estimate = this.calculate(config);
+    const submitButton = this.form.querySelector('button[type="submit"]');
+
+    if (!estimate) {
+      const service = this.getService();
+      this.result.textContent = t('estimator.outOfRange', { min: service.quantity.min, max: service.quantity.max });
+      submitButton.disabled = true;
+      return;
+    }
+
+    this.result.textContent = this.describe(estimate);
+    submitButton.disabled = false;
+  }
+
+  handleSubmit(e) {
+    e.preventDefault();
+
+    const config = this.getConfiguration();
+    const estimate = this.calculate(config);
+    if (!estimate) return;
+
+    const service = this.getService();
+    const extras = config.extras.map(id => ({
+      id,
+      label: i18n.pick(service.extras.find(item => item.id === id).label)
+    }));
+
+    document.dispatchEvent(new CustomEvent('estimate:apply', {
+      detail: {
+        ...config,
+        extras,
+        unit: service.unit,
+        currency: this.pricing.currency,
+        perVisit: estimate.perVisit,
+        monthly: estimate.monthly,
+        summary: `${i18n.pick(service.label)}, ${config.quantity} ${t(`estimator.units.${service.unit}`)} – ${this.describe(estimate)}`
+      }
+    }));
+
+    // The form that takes the estimate, not the first field in #contact
+    // (the coverage checker sits above it)
+    const quoteForm = document.querySelector('input[name="estimate"]')?.form;
+    if (quoteForm) {
+      quoteForm.scrollIntoView({ behavior: 'smooth' });
+      quoteForm.querySelector('input:not([type="hidden"])')?.focus({ preventScroll: true });
+    }
+  }
+}
@@ -0,0 +1,101 @@
+/**
+ * Quote modal opened from the service cards
+ *
+ * Each card's "Поискайте оферта" link (.service-cta[data-service]) opens a
+ * short quote form with that service already chosen, so the visitor keeps
+ * their place on the page. Without JavaScript the link still goes to
+ * #contact. The form inside is a ContactForm of its own.
+ */
+
+import { Component } from '../core/component.js';
+import { t } from '../core/i18n.js';
+import { trapFocus } from '../core/utils.js';
+
+export class QuoteModal extends Component {
+  constructor(element) {
+    super(element);
+    this.form = element.querySelector('.quote-modal-form');
+    this.serviceSelect = this.form?.querySelector('[name="service"]');
+    this.contextNote = element.querySelector('.quote-modal-context');
+    this.contextField = this.form?.querySelector('[name="context"]');
+    this.link = null;
+  }
+
+  init() {
+    if (!this.form) return;
+
+    // On the links themselves, so the click is handled before SmoothScroll
+    // sees it on the body and scrolls to #contact
+    document.querySelectorAll('.service-cta[data-service]').forEach(link => {
+      this.listen(link, 'click', (e) => {
+        if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+        e.preventDefault();
+        this.open(link);
+      });
+    });
+
+    this.listen(this.element.querySelector('.quote-modal-close'), 'click', () => this.close());
+
+    // Close when clicking the backdrop
+    this.listen(this.element, 'click', (e) => {
+      if (e.target === this.element) this.close();
+    });
+
+    this.listen(this.element, 'keydown', (e) => {
+      if (e.key === 'Escape') {
+        this.close();
+      } else if (e.key === 'Tab') {
+        trapFocus(this.form, e);
+      }
+    });
+
+    this.listen(document, 'i18n:change', () => {
+      if (this.isOpen) this.renderContext();
+    });
+
+    this.onDestroy(() => this.close({ returnFocus: false }));
+  }
+
+  get isOpen() {
+    return !this.element.hidden;
+  }
+
+  open(link) {
+    this.link = link;
+
+    // What the visitor already typed stays; only the service follows the card
+    if (this.serviceSelect) {
+      this.serviceSelect.value = link.dataset.service;
+      this.serviceSelect.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+    this.renderContext();
+
+    this.element.hidden = false;
+    document.body.style.overflow = 'hidden';
+    this.form.querySelector('input:not([type="hidden"])')?.focus();
+  }
+
+  close({ returnFocus = true } = {}) {
+    if (!this.isOpen) return;
+
+    this.element.hidden = true;
+    document.body.style.overflow = '';
+
+    if (returnFocus) this.link?.focus();
+  }
+
+  // Names the card the visitor came from, on screen and in the request
+  renderContext() {
+    const title = this.link?.closest('.service-card')?.querySelector('h3')?.textContent.trim() || '';
+    const note = title ? t('quoteModal.context', { service: title }) : '';
+
+    if (this.contextNote) {
+      this.contextNote.textContent = note;
+      this.contextNote.hidden = !note;
+    }
+    if (this.contextField) {
+      this.contextField.value = note;
+    }
+  }
+}
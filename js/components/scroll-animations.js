@@ -0,0 +1,45 @@
+/**
+ * Fades content in as it scrolls into view
+ */
+
+import { Component } from '../core/component.js';
+
+export class ScrollAnimations extends Component {
+  constructor(element) {
+    super(element);
+    this.selector = '.service-card, .feature, .testimonial, .section-header';
+    this.observerOptions = {
+      threshold: 0.1,
+      rootMargin: '0px 0px -50px 0px'
+    };
+  }
+
+  init() {
+    if (!('IntersectionObserver' in window)) {
+      // Fallback for older browsers
+      this.fallbackAnimations();
+      return;
+    }
+
+    this.observer = this.observe(new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          entry.target.classList.add('animate-fade-in-up');
+          this.observer.unobserve(entry.target);
+        }
+      });
+    }, this.observerOptions));
+
+    // Observe elements that should animate on scroll
+    this.element.querySelectorAll(this.selector).forEach(el => {
+      this.observer.observe(el);
+    });
+  }
+
+  fallbackAnimations() {
+    // For browsers without IntersectionObserver, just add the animation class
+    this.element.querySelectorAll(this.selector).forEach(el => {
+      el.classList.add('animate-fade-in-up');
+    });
+  }
+}
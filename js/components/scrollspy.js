@@ -0,0 +1,65 @@
+/**
+ * Scrollspy: marks the nav link of the section being read with aria-current
+ *
+ * A section is current once its top passes a line below the sticky header;
+ * data-scrollspy-offset on the host element moves that line (px, default 24,
+ * just past where SmoothScroll puts a section). At the bottom of the page the
+ * last section in view wins, so a short #contact still gets its turn.
+ */
+
+import { Component } from '../core/component.js';
+import { scrollScheduler } from '../core/scheduler.js';
+
+export class Scrollspy extends Component {
+  constructor(element) {
+    super(element);
+    const offset = parseInt(element.dataset.scrollspyOffset, 10);
+    this.offset = Number.isFinite(offset) ? offset : 24;
+    this.header = document.querySelector('.header');
+    this.current = null;
+  }
+
+  init() {
+    this.links = [...this.element.querySelectorAll('.nav-link[href^="#"], .mobile-nav-link[href^="#"]')];
+
+    // Only sections with a link; in between, the previous one stays current
+    const targets = new Set(this.links.map(link => link.getAttribute('href')));
+    this.sections = [...document.querySelectorAll('section[id]')]
+      .filter(section => targets.has(`#${section.id}`));
+    if (this.sections.length === 0) return;
+
+    this.onDestroy(scrollScheduler.subscribe(state => this.update(state)));
+    this.onDestroy(() => this.setCurrent(null));
+  }
+
+  update({ scrollY, viewportHeight, documentHeight }) {
+    const line = (this.header?.offsetHeight || 0) + this.offset;
+    const atBottom = scrollY + viewportHeight >= documentHeight - 2;
+    let current = null;
+
+    this.sections.forEach(section => {
+      const rect = section.getBoundingClientRect();
+      if (rect.height === 0) return;
+
+      if (rect.top <= line || (atBottom && rect.top < viewportHeight)) {
+        current = section;
+      }
+    });
+
+    this.setCurrent(current);
+  }
+
+  setCurrent(section) {
+    if (section === this.current) return;
+    this.current = section;
+
+    const href = section ? `#${section.id}` : null;
+    this.links.forEach(link => {
+      if (link.getAttribute('href') === href) {
+        link.setAttribute('aria-current', 'location');
+      } else {
+        link.removeAttribute('aria-current');
+      }
+    });
+  }
+}
@@ -0,0 +1,146 @@
+/**
+ * Hash navigation for in-page anchor links
+ *
+ * Clicks scroll to the target below the sticky header and move focus to its
+ * heading. Every history entry remembers its scroll position in
+ * history.state, so Back/Forward and reloads land where the visitor was; a
+ * hash in the initial URL is honoured once the layout has settled.
+ */
+
+import { Component } from '../core/component.js';
+import { scrollScheduler } from '../core/scheduler.js';
+import { debounce } from '../core/utils.js';
+
+// Space left between the sticky header and the target
+const SCROLL_GAP = 20;
+
+const prefersReducedMotion = () => window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+// Measured at call time: the header shrinks once the page has scrolled, and
+// offsetTop would be relative to the nearest positioned container.
+// Also used by components that scroll to their own content (FAQ deep links)
+export const scrollToElement = (target, { instant = false } = {}) => {
+  const headerHeight = document.querySelector('.header')?.getBoundingClientRect().height || 0;
+  const top = window.scrollY + target.getBoundingClientRect().top - headerHeight - SCROLL_GAP;
+
+  window.scrollTo({
+    top: Math.max(0, top),
+    behavior: instant || prefersReducedMotion() ? 'instant' : 'smooth'
+  });
+};
+
+// Keyboard and screen reader users continue from the heading that names the
+// target (or the target itself when it has none)
+export const focusTarget = (target) => {
+  const labelledBy = target.getAttribute('aria-labelledby')?.split(' ')[0];
+  const heading = (labelledBy && document.getElementById(labelledBy)) ||
+    target.querySelector('h1, h2, h3') ||
+    target;
+
+  if (!heading.matches('a[href], button, input, select, textarea, [tabindex]')) {
+    heading.setAttribute('tabindex', '-1');
+  }
+  heading.focus({ preventScroll: true });
+};
+
+export class SmoothScroll extends Component {
+  init() {
+    // Positions are restored from history.state below, not by the browser
+    if ('scrollRestoration' in history) {
+      const restoration = history.scrollRestoration;
+      history.scrollRestoration = 'manual';
+      this.onDestroy(() => { history.scrollRestoration = restoration; });
+    }
+
+    // Handle anchor links inside the element this is mounted on
+    this.listen(this.element, 'click', (e) => this.handleClick(e));
+    this.listen(window, 'popstate', (e) => this.handlePopState(e));
+
+    // Saved once scrolling stops; browsers throttle frequent replaceState calls
+    const savePosition = debounce(() => this.savePosition(), 500);
+    this.onDestroy(scrollScheduler.subscribe(savePosition));
+    this.onDestroy(() => savePosition.cancel());
+    this.listen(window, 'pagehide', () => this.savePosition());
+
+    this.restoreInitialPosition();
+  }
+
+  handleClick(e) {
+    // The skip link handles its own clicks; modified clicks open new tabs
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+    const link = e.target.closest('a[href^="#"]');
+    if (!link) return;
+
+    const href = link.getAttribute('href');
+    const target = this.findTarget(href);
+    if (!target) return;
+
+    e.preventDefault();
+
+    // The entry being left keeps the position to come back to
+    if (location.hash !== href) {
+      this.savePosition();
+      history.pushState(null, '', href);
+    }
+
+    scrollToElement(target);
+    focusTarget(target);
+  }
+
+  handlePopState(e) {
+    const saved = e.state?.scrollY;
+    if (typeof saved === 'number') {
+      window.scrollTo({ top: saved, behavior: 'instant' });
+      return;
+    }
+
+    // Entries pushed by the lightbox have no matching element and are left alone
+    const target = this.findTarget(location.hash);
+    if (!target) return;
+
+    scrollToElement(target);
+    focusTarget(target);
+  }
+
+  // After a reload the saved position wins; a fresh visit goes to the hash
+  async restoreInitialPosition() {
+    const saved = history.state?.scrollY;
+    if (typeof saved !== 'number' && !this.findTarget(location.hash)) return;
+
+    // Images and web fonts above the target move it until the page has loaded
+    if (document.readyState !== 'complete') {
+      await new Promise(resolve => window.addEventListener('load', resolve, { once: true }));
+    }
+    await document.fonts?.ready;
+    await new Promise(resolve => requestAnimationFrame(resolve));
+    if (this.destroyed) return;
+
+    if (typeof saved === 'number') {
+      window.scrollTo({ top: saved, behavior: 'instant' });
+      return;
+    }
+
+    const target = this.findTarget(location.hash);
+    if (!target) return;
+
+    scrollToElement(target, { instant: true });
+    focusTarget(target);
+  }
+
+  savePosition() {
+    history.replaceState({ ...history.state, scrollY: window.scrollY }, '');
+  }
+
+  // getElementById, unlike querySelector, accepts any id (e.g. "#2024-offer")
+  findTarget(hash) {
+    if (!hash || hash.length < 2) return null;
+
+    try {
+      return document.getElementById(decodeURIComponent(hash.slice(1)));
+    } catch (error) {
+      // Malformed percent-encoding
+      return null;
+    }
+  }
+}
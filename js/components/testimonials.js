@@ -0,0 +1,225 @@
+/**
+ * Testimonials carousel with a rating summary and per-service filters
+ */
+
+import { Component } from '../core/component.js';
+import { i18n, t } from '../core/i18n.js';
+import { debounce, loadJSON } from '../core/utils.js';
+
+export class Testimonials extends Component {
+  constructor(element) {
+    super(element);
+    this.carousel = element.querySelector('.testimonials-carousel');
+    this.summary = element.querySelector('.testimonials-summary');
+    this.filterContainer = element.querySelector('.testimonial-filters');
+    this.reviews = [];
+    this.service = 'all';
+  }
+
+  async init() {
+    if (!this.carousel) return;
+
+    this.track = this.carousel.querySelector('.testimonials-track');
+    this.controls = this.carousel.querySelector('.carousel-controls');
+    this.prevButton = this.carousel.querySelector('.carousel-prev');
+    this.nextButton = this.carousel.querySelector('.carousel-next');
+
+    const handleScroll = debounce(() => this.updateControls(), 100);
+    const handleResize = debounce(() => this.updateControls(), 250);
+    this.listen(this.prevButton, 'click', () => this.scrollBySlide(-1));
+    this.listen(this.nextButton, 'click', () => this.scrollBySlide(1));
+    this.listen(this.track, 'scroll', handleScroll);
+    this.listen(window, 'resize', handleResize);
+    this.onDestroy(() => {
+      handleScroll.cancel();
+      handleResize.cancel();
+    });
+
+    this.listen(this.track, 'keydown', (e) => {
+      if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+        e.preventDefault();
+        this.scrollBySlide(e.key === 'ArrowLeft' ? -1 : 1);
+      }
+    });
+
+    this.listen(this.filterContainer, 'click', (e) => {
+      const button = e.target.closest('.filter-btn');
+      if (button) this.filterByService(button.dataset.service);
+    });
+
+    this.listen(document, 'i18n:change', () => {
+      this.renderSummary();
+      this.renderSlides();
+    });
+
+    let data;
+    try {
+      data = await loadJSON(this.carousel.dataset.source);
+    } catch (error) {
+      console.error('Testimonials could not be loaded:', error);
+      return;
+    }
+    if (this.destroyed) return;
+
+    this.reviews = [...data.reviews].sort((a, b) => b.date.localeCompare(a.date));
+    this.updateStructuredData();
+    this.renderFilters();
+    this.renderSummary();
+    this.renderSlides();
+  }
+
+  get selectedReviews() {
+    return this.service === 'all'
+      ? this.reviews
+      : this.reviews.filter(review => review.service === this.service);
+  }
+
+  filterByService(service) {
+    this.service = service;
+
+    this.filterContainer.querySelectorAll('.filter-btn').forEach(button => {
+      const active = button.dataset.service === service;
+      button.classList.toggle('active', active);
+      button.setAttribute('aria-pressed', String(active));
+    });
+
+    this.renderSummary();
+    this.renderSlides();
+  }
+
+  // Only worth showing when the reviews cover more than one service
+  renderFilters() {
+    if (!this.filterContainer) return;
+
+    const services = [...new Set(this.reviews.map(review => review.service))];
+    if (services.length < 2) return;
+
+    ['all', ...services].forEach(service => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = `filter-btn${service === this.service ? ' active' : ''}`;
+      button.dataset.service = service;
+      button.dataset.i18n = `portfolio.filters.${service}`;
+      button.setAttribute('aria-pressed', String(service === this.service));
+      button.textContent = t(`portfolio.filters.${service}`);
+      this.filterContainer.appendChild(button);
+    });
+
+    this.filterContainer.hidden = false;
+  }
+
+  renderSummary() {
+    const reviews = this.selectedReviews;
+    if (!this.summary || reviews.length === 0) return;
+
+    const average = reviews.reduce((sum, review) => sum + review.rating, 0) / reviews.length;
+    const formatted = new Intl.NumberFormat(i18n.intlLocale, {
+      minimumFractionDigits: 1,
+      maximumFractionDigits: 1
+    }).format(average);
+    const plural = new Intl.PluralRules(i18n.intlLocale).select(reviews.length);
+
+    this.summary.innerHTML = `
+      <span class="stars" aria-hidden="true">⭐</span>
+      <span class="testimonials-summary-text"></span>
+    `;
+    this.summary.querySelector('.testimonials-summary-text').textContent = t('testimonials.summary', {
+      average: formatted,
+      reviews: t(`testimonials.reviews.${plural === 'one' ? 'one' : 'other'}`, { count: reviews.length })
+    });
+    this.summary.hidden = false;
+  }
+
+  renderSlides() {
+    const reviews = this.selectedReviews;
+    this.track.innerHTML = '';
+
+    reviews.forEach((review, index) => {
+      const slide = document.createElement('div');
+      slide.className = 'testimonial-slide';
+      slide.setAttribute('role', 'group');
+      slide.setAttribute('aria-roledescription', t('testimonials.slide'));
+      slide.setAttribute('aria-label', t('testimonials.slideLabel', { index: index + 1, total: reviews.length }));
+      slide.innerHTML = `
+        <blockquote class="testimonial">
+          <div class="stars" role="img">${'⭐'.repeat(Math.round(review.rating))}</div>
+          <p></p>
+          <footer>
+            <cite></cite>
+            <time class="testimonial-date"></time>
+          </footer>
+        </blockquote>
+      `;
+
+      slide.querySelector('.stars').setAttribute('aria-label', t('testimonials.stars', { rating: review.rating }));
+      slide.querySelector('p').textContent = `"${i18n.pick(review.text)}"`;
+      slide.querySelector('cite').textContent = `— ${i18n.pick(review.author)}, ${i18n.pick(review.role)}`;
+
+      const date = slide.querySelector('.testimonial-date');
+      date.dateTime = review.date;
+      date.textContent = new Intl.DateTimeFormat(i18n.intlLocale, { month: 'long', year: 'numeric' })
+        .format(new Date(`${review.date}T12:00:00`));
+
+      this.track.appendChild(slide);
+    });
+
+    this.track.scrollLeft = 0;
+    this.updateControls();
+  }
+
+  scrollBySlide(direction) {
+    const slide = this.track.firstElementChild;
+    if (!slide) return;
+
+    const gap = parseFloat(getComputedStyle(this.track).columnGap) || 0;
+    const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+    this.track.scrollBy({
+      left: direction * (slide.getBoundingClientRect().width + gap),
+      behavior: reducedMotion ? 'auto' : 'smooth'
+    });
+  }
+
+  // Buttons are only shown when the slides don't all fit
+  updateControls() {
+    const atStart = this.track.scrollLeft <= 1;
+    const atEnd = this.track.scrollLeft + this.track.clientWidth >= this.track.scrollWidth - 1;
+
+    this.prevButton.disabled = atStart;
+    this.nextButton.disabled = atEnd;
+    this.controls.hidden = atStart && atEnd;
+  }
+
+  // Review and AggregateRating go into the existing LocalBusiness block,
+  // in Bulgarian like the rest of it
+  updateStructuredData() {
+    const script = [...document.querySelectorAll('script[type="application/ld+json"]')].find(element => {
+      try {
+        return JSON.parse(element.textContent)['@type'] === 'LocalBusiness';
+      } catch (error) {
+        return false;
+      }
+    });
+    if (!script || this.reviews.length === 0) return;
+
+    const business = JSON.parse(script.textContent);
+    const total = this.reviews.reduce((sum, review) => sum + review.rating, 0);
+
+    business.aggregateRating = {
+      '@type': 'AggregateRating',
+      ratingValue: Math.round((total / this.reviews.length) * 10) / 10,
+      reviewCount: this.reviews.length,
+      bestRating: 5,
+      worstRating: 1
+    };
+    business.review = this.reviews.map(review => ({
+      '@type': 'Review',
+      author: { '@type': 'Person', name: review.author.bg },
+      datePublished: review.date,
+      reviewBody: review.text.bg,
+      reviewRating: { '@type': 'Rating', ratingValue: review.rating, bestRating: 5, worstRating: 1 }
+    }));
+
+    script.textContent = JSON.stringify(business, null, 2);
+  }
+}
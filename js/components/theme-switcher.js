@@ -0,0 +1,30 @@
+/**
+ * Theme switcher buttons (data-theme-option)
+ */
+
+import { Component } from '../core/component.js';
+import { theme } from '../core/theme.js';
+
+export class ThemeSwitcher extends Component {
+  constructor(element) {
+    super(element);
+    this.buttons = element.querySelectorAll('.theme-btn[data-theme-option]');
+  }
+
+  init() {
+    this.buttons.forEach(button => {
+      this.listen(button, 'click', () => theme.set(button.dataset.themeOption));
+    });
+
+    this.listen(document, 'theme:change', () => this.updateState());
+    this.updateState();
+  }
+
+  // While the site follows the system only the 'system' button is pressed
+  updateState() {
+    const current = theme.followsSystem ? 'system' : theme.theme;
+    this.buttons.forEach(button => {
+      button.setAttribute('aria-pressed', String(button.dataset.themeOption === current));
+    });
+  }
+}
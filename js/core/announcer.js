@@ -0,0 +1,73 @@
+/**
+ * Screen reader announcements through two shared live regions
+ *
+ * announce(message, { priority, key }): 'polite' waits for the screen reader
+ * to finish, 'assertive' interrupts it (errors only). Each channel speaks at
+ * most once per interval; messages waiting with the same key are replaced, so
+ * a burst of updates (a dragged slider) ends in one announcement of the
+ * latest value. A message repeated within dedupeWindow is dropped.
+ */
+
+export class Announcer {
+  constructor({ interval = 1000, dedupeWindow = 3000 } = {}) {
+    this.interval = interval;
+    this.dedupeWindow = dedupeWindow;
+    this.channels = {};
+  }
+
+  announce(message, { priority = 'polite', key = message } = {}) {
+    const text = String(message ?? '').trim();
+    if (!text) return;
+
+    const channel = this.getChannel(priority === 'assertive' ? 'assertive' : 'polite');
+    if (text === channel.last && Date.now() - channel.lastAt < this.dedupeWindow) return;
+
+    channel.queue = channel.queue.filter(item => item.key !== key && item.text !== text);
+    channel.queue.push({ key, text });
+    this.flush(channel);
+  }
+
+  // Drops messages still waiting under key, e.g. progress once there is a result
+  cancel(key) {
+    Object.values(this.channels).forEach(channel => {
+      channel.queue = channel.queue.filter(item => item.key !== key);
+    });
+  }
+
+  getChannel(priority) {
+    if (!this.channels[priority]) {
+      const region = document.createElement('div');
+      region.className = 'sr-only';
+      region.setAttribute('aria-live', priority);
+      region.setAttribute('aria-atomic', 'true');
+      document.body.appendChild(region);
+
+      this.channels[priority] = { region, queue: [], timer: null, last: null, lastAt: 0 };
+    }
+    return this.channels[priority];
+  }
+
+  flush(channel) {
+    if (channel.timer !== null || channel.queue.length === 0) return;
+
+    const { text } = channel.queue.shift();
+    channel.last = text;
+    channel.lastAt = Date.now();
+
+    // Emptied first and filled a moment later: screen readers skip a change
+    // to the same text, and miss one made right after the region is created
+    channel.region.textContent = '';
+    setTimeout(() => {
+      channel.region.textContent = text;
+    }, 100);
+
+    channel.timer = setTimeout(() => {
+      channel.timer = null;
+      this.flush(channel);
+    }, this.interval);
+  }
+}
+
+// One instance per page, shared by every component
+export const announcer = new Announcer();
+export const announce = (message, options) => announcer.announce(message, options);
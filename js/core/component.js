@@ -0,0 +1,72 @@
+/**
+ * Base class for widgets mounted by the ComponentRegistry
+ *
+ * Subclasses set up in init(), which may be async, and register their
+ * listeners, observers and other teardown through listen(), observe() and
+ * onDestroy(), so destroy() can remove every one of them. That keeps
+ * widgets embeddable in other pages and testable in isolation.
+ */
+
+export class Component {
+  constructor(element) {
+    this.element = element;
+    this.cleanups = [];
+    this.destroyed = false;
+  }
+
+  init() {}
+
+  // Runs init() and reports a failure instead of throwing, so one broken
+  // widget leaves the others working. Resolves to false if it failed.
+  async mount(name = this.constructor.name) {
+    try {
+      await this.init();
+      return true;
+    } catch (error) {
+      console.error(`Component "${name}" failed to initialise:`, error);
+      this.destroy();
+      return false;
+    }
+  }
+
+  // Optional elements may be missing: listening on null does nothing
+  listen(target, type, handler, options) {
+    if (!target) return;
+
+    target.addEventListener(type, handler, options);
+    this.cleanups.push(() => target.removeEventListener(type, handler, options));
+  }
+
+  // Accepts anything with disconnect(): Intersection/Mutation/ResizeObserver
+  observe(observer) {
+    this.cleanups.push(() => observer.disconnect());
+    return observer;
+  }
+
+  onDestroy(cleanup) {
+    this.cleanups.push(cleanup);
+  }
+
+  // Mounts a child component that lives and dies with this one
+  adopt(child) {
+    this.onDestroy(() => child.destroy());
+    child.mount();
+    return child;
+  }
+
+  // Async init() checks this.destroyed after each await
+  destroy() {
+    if (this.destroyed) return;
+    this.destroyed = true;
+
+    // Last registered, first removed
+    this.cleanups.reverse().forEach(cleanup => {
+      try {
+        cleanup();
+      } catch (error) {
+        console.error('Component cleanup failed:', error);
+      }
+    });
+    this.cleanups = [];
+  }
+}
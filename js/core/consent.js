@@ -0,0 +1,59 @@
+/**
+ * Cookie consent state, shared by the consent banner/dialog and Analytics
+ */
+
+export class ConsentStore {
+  constructor() {
+    this.storageKey = 'consent';
+    // Bump when categories or their purposes change so everyone is asked again
+    this.version = 1;
+    this.maxAgeDays = 180;
+    this.state = this.load();
+  }
+
+  // A stored choice only counts if it is for the current version and not expired
+  load() {
+    let stored = null;
+    try {
+      stored = JSON.parse(localStorage.getItem(this.storageKey));
+    } catch (error) {
+      // Unavailable or unreadable storage means no choice was made
+    }
+
+    if (!stored || stored.version !== this.version || !(stored.expires > Date.now())) {
+      return null;
+    }
+    return stored;
+  }
+
+  get decided() {
+    return Boolean(this.state);
+  }
+
+  has(category) {
+    return category === 'necessary' || Boolean(this.state && this.state.categories[category]);
+  }
+
+  save({ analytics, marketing }) {
+    const now = Date.now();
+
+    this.state = {
+      version: this.version,
+      savedAt: new Date(now).toISOString(),
+      expires: now + this.maxAgeDays * 24 * 60 * 60 * 1000,
+      categories: { necessary: true, analytics: Boolean(analytics), marketing: Boolean(marketing) }
+    };
+
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.state));
+    } catch (error) {
+      // Choice only lasts for this page view
+    }
+
+    document.dispatchEvent(new CustomEvent('consent:change', {
+      detail: { ...this.state.categories }
+    }));
+  }
+}
+
+export const consent = new ConsentStore();
@@ -0,0 +1,128 @@
+/**
+ * Internationalisation: locale detection, catalogs and page translation
+ */
+
+import { loadJSON } from './utils.js';
+
+export class I18n {
+  constructor(options = {}) {
+    this.locales = options.locales || ['bg', 'en'];
+    this.defaultLocale = options.defaultLocale || 'bg';
+    this.path = options.path || 'locales';
+    this.storageKey = 'locale';
+    this.intlLocales = { bg: 'bg-BG', en: 'en-GB' };
+    this.catalogs = {};
+    this.locale = this.defaultLocale;
+  }
+
+  async init() {
+    try {
+      // The default catalog doubles as the fallback for missing keys
+      await this.loadCatalog(this.defaultLocale);
+    } catch (error) {
+      console.error('Failed to load default locale:', error);
+    }
+
+    const locale = this.detectLocale();
+    if (locale !== this.defaultLocale) {
+      await this.setLocale(locale, { persist: false });
+    }
+  }
+
+  // Stored choice first, then the browser's preferred language
+  detectLocale() {
+    let stored = null;
+    try {
+      stored = localStorage.getItem(this.storageKey);
+    } catch (error) {
+      // Storage may be unavailable (private mode, disabled cookies)
+    }
+    if (this.locales.includes(stored)) return stored;
+
+    const preferred = (navigator.languages || [navigator.language])
+      .map(language => (language || '').slice(0, 2).toLowerCase())
+      .find(language => this.locales.includes(language));
+
+    return preferred || this.defaultLocale;
+  }
+
+  async loadCatalog(locale) {
+    if (!this.catalogs[locale]) {
+      this.catalogs[locale] = await loadJSON(`${this.path}/${locale}.json`);
+    }
+    return this.catalogs[locale];
+  }
+
+  async setLocale(locale, { persist = true } = {}) {
+    if (!this.locales.includes(locale)) return;
+
+    try {
+      await this.loadCatalog(locale);
+    } catch (error) {
+      console.error(`Failed to load locale "${locale}":`, error);
+      return;
+    }
+
+    this.locale = locale;
+    document.documentElement.lang = locale;
+    this.translatePage();
+
+    if (persist) {
+      try {
+        localStorage.setItem(this.storageKey, locale);
+      } catch (error) {
+        // Choice only lasts for this page view
+      }
+    }
+
+    document.dispatchEvent(new CustomEvent('i18n:change', { detail: { locale } }));
+  }
+
+  get intlLocale() {
+    return this.intlLocales[this.locale] || this.locale;
+  }
+
+  lookup(catalog, key) {
+    return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+  }
+
+  // t('estimator.outOfRange', { min: 1, max: 10 })
+  t(key, params = {}) {
+    let message = this.lookup(this.catalogs[this.locale], key);
+    if (typeof message !== 'string') {
+      message = this.lookup(this.catalogs[this.defaultLocale], key);
+    }
+    if (typeof message !== 'string') return key;
+
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+  }
+
+  // Data files hold translations as { bg: '...', en: '...' }
+  pick(value) {
+    if (!value || typeof value !== 'object') return value;
+    return value[this.locale] ?? value[this.defaultLocale];
+  }
+
+  // Markup is annotated with data-i18n (text), data-i18n-html (trusted
+  // catalog markup) and data-i18n-attr="attr:key;attr:key"
+  translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+      el.textContent = this.t(el.dataset.i18n);
+    });
+
+    root.querySelectorAll('[data-i18n-html]').forEach(el => {
+      el.innerHTML = this.t(el.dataset.i18nHtml);
+    });
+
+    root.querySelectorAll('[data-i18n-attr]').forEach(el => {
+      el.dataset.i18nAttr.split(';').forEach(pair => {
+        const [attr, key] = pair.split(':').map(part => part.trim());
+        if (attr && key) el.setAttribute(attr, this.t(key));
+      });
+    });
+  }
+}
+
+// One instance per page, shared by every component
+export const i18n = new I18n();
+export const t = (key, params) => i18n.t(key, params);
@@ -0,0 +1,136 @@
+/**
+ * Component registry
+ *
+ * Markup opts in with data-component="name" (several names separated by
+ * spaces). start() mounts every match under a root and keeps watching it:
+ * elements added later are mounted, removed ones are destroyed.
+ */
+
+export class ComponentRegistry {
+  constructor() {
+    this.types = new Map();
+    // element -> Map of name -> component instance
+    this.mounted = new Map();
+    this.root = null;
+    this.observer = null;
+  }
+
+  register(name, Type) {
+    this.types.set(name, Type);
+    return this;
+  }
+
+  // Resolves once every component found has finished its init()
+  start(root = document) {
+    this.root = root;
+    this.observer = new MutationObserver(records => this.handleMutations(records));
+    this.observer.observe(root, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['data-component']
+    });
+
+    return this.mountTree(root);
+  }
+
+  stop() {
+    this.observer?.disconnect();
+    this.observer = null;
+
+    // Newest first, so children added by parents go before them
+    [...this.mounted.keys()].reverse().forEach(element => this.unmount(element));
+    this.root = null;
+  }
+
+  get(element, name) {
+    return this.mounted.get(element)?.get(name) || null;
+  }
+
+  getNames(element) {
+    return (element.dataset.component || '').split(/\s+/).filter(Boolean);
+  }
+
+  mountTree(node) {
+    const elements = node.querySelectorAll ? [...node.querySelectorAll('[data-component]')] : [];
+    if (node.matches?.('[data-component]')) elements.unshift(node);
+
+    return Promise.all(elements.map(element => this.mount(element)));
+  }
+
+  mount(element) {
+    return Promise.all(this.getNames(element).map(async (name) => {
+      if (this.get(element, name)) return;
+
+      const Type = this.types.get(name);
+      if (!Type) {
+        console.warn(`Unknown component "${name}"`, element);
+        return;
+      }
+
+      // A throwing constructor or init() only takes down its own component
+      let component;
+      try {
+        component = new Type(element);
+      } catch (error) {
+        console.error(`Component "${name}" failed to initialise:`, error);
+        return;
+      }
+
+      if (!this.mounted.has(element)) {
+        this.mounted.set(element, new Map());
+      }
+      const instances = this.mounted.get(element);
+      instances.set(name, component);
+
+      if (!(await component.mount(name)) && instances.get(name) === component) {
+        this.unmount(element, [...instances.keys()].filter(other => other !== name));
+      }
+    }));
+  }
+
+  // Destroys the components on an element whose names are not in keep
+  unmount(element, keep = []) {
+    const instances = this.mounted.get(element);
+    if (!instances) return;
+
+    instances.forEach((component, name) => {
+      if (keep.includes(name)) return;
+      component.destroy();
+      instances.delete(name);
+    });
+
+    if (instances.size === 0) {
+      this.mounted.delete(element);
+    }
+  }
+
+  // Nodes can be moved (removed, then added) in one batch, so the final
+  // position in the document decides, not the order of the records
+  handleMutations(records) {
+    records.forEach(record => {
+      if (record.type === 'attributes') {
+        if (!this.root.contains(record.target)) return;
+        this.unmount(record.target, this.getNames(record.target));
+        this.mount(record.target);
+        return;
+      }
+
+      record.removedNodes.forEach(node => {
+        if (this.root.contains(node)) return;
+        [...this.mounted.keys()]
+          .filter(element => node === element || node.contains(element))
+          .forEach(element => this.unmount(element));
+      });
+
+      record.addedNodes.forEach(node => {
+        if (node.nodeType === Node.ELEMENT_NODE && this.root.contains(node)) {
+          this.mountTree(node);
+        }
+      });
+    });
+  }
+}
+
+// The page's registry; embedding pages can create their own
+export const registry = new ComponentRegistry();
@@ -0,0 +1,74 @@
+/**
+ * Shared scroll/resize scheduler
+ *
+ * One passive scroll and one passive resize listener for the whole page,
+ * attached while anything is subscribed. Subscribers run at most once per
+ * animation frame and share one set of measurements.
+ */
+
+export class ScrollScheduler {
+  constructor() {
+    this.subscribers = new Set();
+    this.frame = null;
+    this.resized = false;
+    this.handleScroll = () => this.schedule();
+    this.handleResize = () => {
+      this.resized = true;
+      this.schedule();
+    };
+  }
+
+  // callback({ scrollY, viewportHeight, documentHeight, resized }); returns
+  // the unsubscribe function, ready to pass to Component.onDestroy()
+  subscribe(callback) {
+    if (this.subscribers.size === 0) {
+      window.addEventListener('scroll', this.handleScroll, { passive: true });
+      window.addEventListener('resize', this.handleResize, { passive: true });
+    }
+    this.subscribers.add(callback);
+
+    // New subscribers get the current position on the next frame
+    this.schedule();
+
+    return () => {
+      this.subscribers.delete(callback);
+      if (this.subscribers.size > 0) return;
+
+      window.removeEventListener('scroll', this.handleScroll, { passive: true });
+      window.removeEventListener('resize', this.handleResize, { passive: true });
+      if (this.frame !== null) {
+        cancelAnimationFrame(this.frame);
+        this.frame = null;
+      }
+    };
+  }
+
+  schedule() {
+    if (this.frame === null) {
+      this.frame = requestAnimationFrame(() => this.run());
+    }
+  }
+
+  run() {
+    this.frame = null;
+
+    const state = {
+      scrollY: window.scrollY,
+      viewportHeight: window.innerHeight,
+      documentHeight: document.documentElement.scrollHeight,
+      resized: this.resized
+    };
+    this.resized = false;
+
+    // One failing subscriber must not keep the others from updating
+    this.subscribers.forEach(callback => {
+      try {
+        callback(state);
+      } catch (error) {
+        console.error('Scroll subscriber failed:', error);
+      }
+    });
+  }
+}
+
+export const scrollScheduler = new ScrollScheduler();
@@ -0,0 +1,92 @@
+/**
+ * Colour theme: light, dark or high contrast
+ *
+ * Follows prefers-contrast/prefers-color-scheme until the visitor picks a
+ * theme, and again once they pick 'system'. The inline script in index.html applies the same rules before first
+ * paint; keep the two in step.
+ */
+
+export class ThemeManager {
+  constructor() {
+    this.themes = ['light', 'dark', 'contrast'];
+    this.storageKey = 'theme';
+    this.choice = null;
+    this.theme = document.documentElement.dataset.theme || 'light';
+    this.followed = true;
+  }
+
+  init() {
+    this.choice = this.loadChoice();
+
+    // Without a stored choice, system changes apply straight away
+    ['(prefers-contrast: more)', '(prefers-color-scheme: dark)'].forEach(query => {
+      window.matchMedia(query).addEventListener('change', () => {
+        if (!this.choice) this.apply();
+      });
+    });
+
+    this.apply();
+  }
+
+  loadChoice() {
+    let stored = null;
+    try {
+      stored = localStorage.getItem(this.storageKey);
+    } catch (error) {
+      // Storage may be unavailable (private mode, disabled cookies)
+    }
+    return this.themes.includes(stored) ? stored : null;
+  }
+
+  get systemTheme() {
+    if (window.matchMedia('(prefers-contrast: more)').matches) return 'contrast';
+    if (window.matchMedia('(prefers-color-scheme: dark)').matches) return 'dark';
+    return 'light';
+  }
+
+  get followsSystem() {
+    return !this.choice;
+  }
+
+  // The visitor's pick stays, even when it matches the system theme today;
+  // 'system' forgets it and follows the media queries again
+  set(theme) {
+    if (theme !== 'system' && !this.themes.includes(theme)) return;
+
+    this.choice = theme === 'system' ? null : theme;
+    try {
+      if (this.choice) {
+        localStorage.setItem(this.storageKey, this.choice);
+      } else {
+        localStorage.removeItem(this.storageKey);
+      }
+    } catch (error) {
+      // Choice only lasts for this page view
+    }
+
+    this.apply();
+  }
+
+  apply() {
+    const theme = this.choice || this.systemTheme;
+    const root = document.documentElement;
+    root.dataset.theme = theme;
+
+    // Browser UI (address bar, task switcher) matches the page background
+    const color = getComputedStyle(root).getPropertyValue('--surface').trim();
+    const meta = document.querySelector('meta[name="theme-color"]');
+    if (meta && color) meta.setAttribute('content', color);
+
+    // Switchers also need to hear about a change to or from 'system' that
+    // keeps the same theme
+    if (theme === this.theme && this.followsSystem === this.followed) return;
+    this.theme = theme;
+    this.followed = this.followsSystem;
+    document.dispatchEvent(new CustomEvent('theme:change', {
+      detail: { theme, followsSystem: this.followsSystem }
+    }));
+  }
+}
+
+// One instance per page, shared by every theme switcher
+export const theme = new ThemeManager();
@@ -0,0 +1,123 @@
+/**
+ * Shared helpers: timing, JSON loading, time zones, hashing and focus
+ */
+
+// The returned function has cancel() for components being destroyed
+export const debounce = (func, wait) => {
+  let timeout;
+  const executedFunction = function(...args) {
+    const later = () => {
+      clearTimeout(timeout);
+      func(...args);
+    };
+    clearTimeout(timeout);
+    timeout = setTimeout(later, wait);
+  };
+  executedFunction.cancel = () => clearTimeout(timeout);
+  return executedFunction;
+};
+
+export const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export const loadJSON = async (url) => {
+  const response = await fetch(url, { headers: { 'Accept': 'application/json' } });
+  if (!response.ok) {
+    throw new Error(`Failed to load ${url}: ${response.status}`);
+  }
+  return response.json();
+};
+
+// Calendar date (YYYY-MM-DD) and minutes since midnight in a given time zone
+export const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const get = (type) => parts.find(part => part.type === type).value;
+
+  return {
+    date: `${get('year')}-${get('month')}-${get('day')}`,
+    minutes: parseInt(get('hour'), 10) * 60 + parseInt(get('minute'), 10)
+  };
+};
+
+// Convert a wall-clock time in a time zone to an absolute Date
+export const zonedTimeToDate = (dateString, minutes, timeZone) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const guess = Date.UTC(year, month - 1, day, 0, minutes);
+  const local = getZonedParts(new Date(guess), timeZone);
+  const [localYear, localMonth, localDay] = local.date.split('-').map(Number);
+  const offset = Date.UTC(localYear, localMonth - 1, localDay, 0, local.minutes) - guess;
+  return new Date(guess - offset);
+};
+
+export const addDays = (dateString, days) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+export const parseTime = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+export const formatTime = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// SHA-256 digest as bytes; needs a secure context (https or localhost)
+export const sha256 = async (text) =>
+  new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+
+export const leadingZeroBits = (bytes) => {
+  let bits = 0;
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+  return bits;
+};
+
+// Keep Tab and Shift+Tab inside a modal dialog
+export const trapFocus = (container, e) => {
+  const focusable = [...container.querySelectorAll(
+    'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex="0"]'
+  )];
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+
+  if (e.shiftKey && document.activeElement === first) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && document.activeElement === last) {
+    e.preventDefault();
+    first.focus();
+  }
+};
+
+// A field's .error-message, found through its aria-describedby ids inside
+// its own form, so two forms on a page can use the same field names
+export const findErrorElement = (form, field) => {
+  const ids = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+  return ids
+    .map(id => form.querySelector(`[id="${id}"]`))
+    .find(element => element && element.classList.contains('error-message')) || null;
+};
+
+export const isElementInViewport = (el) => {
+  const rect = el.getBoundingClientRect();
+  return (
+    rect.top >= 0 &&
+    rect.left >= 0 &&
+    rect.bottom <= (window.innerHeight || document.documentElement.clientHeight) &&
+    rect.right <= (window.innerWidth || document.documentElement.clientWidth)
+  );
+};
@@ -0,0 +1,202 @@
+/**
+ * Phone numbers: Bulgarian numbering plan, international E.164 and
+ * formatting as you type
+ */
+
+import { Component } from '../core/component.js';
+
+const BG_COUNTRY_CODE = '359';
+const BG_MOBILE_PREFIXES = ['87', '88', '89', '98'];
+
+// Landline area codes without the trunk 0: Sofia, the district centres and
+// larger towns. Area code + subscriber number is always 8 digits.
+const BG_AREA_CODES = [
+  '2',
+  '32', '34', '36', '38', '42', '44', '46', '52', '54', '56', '58', '62', '64',
+  '66', '68', '73', '76', '78', '82', '84', '86', '92', '94', '96',
+  '301', '331', '335', '359', '391', '431', '457', '554', '601', '618', '631',
+  '701', '721', '722', '723', '745', '746', '749', '751'
+];
+
+// Country codes are 1-3 digits; these are the 1 and 2 digit ones
+const SHORT_COUNTRY_CODES = [
+  '1', '7', '20', '27', '30', '31', '32', '33', '34', '36', '39', '40', '41', '43',
+  '44', '45', '46', '47', '48', '49', '51', '52', '53', '54', '55', '56', '57',
+  '58', '60', '61', '62', '63', '64', '65', '66', '81', '82', '84', '86', '90',
+  '91', '92', '93', '94', '95', '98'
+];
+
+// Split digits into groups of the given sizes; extra digits form one more group
+const groupDigits = (digits, sizes) => {
+  const groups = [];
+  let rest = digits;
+
+  sizes.forEach(size => {
+    if (rest) {
+      groups.push(rest.slice(0, size));
+      rest = rest.slice(size);
+    }
+  });
+  if (rest) groups.push(rest);
+
+  return groups.join(' ');
+};
+
+const SUBSCRIBER_GROUPS = { 7: [3, 4], 6: [3, 3], 5: [2, 3], 4: [4] };
+
+// nsn is the national number without the trunk 0 or country code;
+// prefix is what the visitor typed before it ('0', '+359 ' or nothing)
+const parseBulgarianPhone = (nsn, prefix) => {
+  const result = { valid: false, error: null, type: null, e164: null };
+
+  let code = BG_MOBILE_PREFIXES.find(mobile => nsn.startsWith(mobile));
+  let length = 9;
+
+  if (code) {
+    result.type = 'mobile';
+  } else {
+    // Longest match first: 0301 Smolyan, not a hypothetical 030
+    code = [...BG_AREA_CODES]
+      .sort((a, b) => b.length - a.length)
+      .find(area => nsn.startsWith(area));
+    length = 8;
+    result.type = code ? 'landline' : null;
+  }
+
+  if (!code) {
+    // Could still become a known prefix as the visitor keeps typing
+    const partial = [...BG_MOBILE_PREFIXES, ...BG_AREA_CODES].some(known => known.startsWith(nsn));
+    result.error = partial ? 'phoneTooShort' : 'phonePrefix';
+    result.display = `${prefix}${nsn}`.trim();
+    return result;
+  }
+
+  const subscriber = nsn.slice(code.length);
+  const groups = SUBSCRIBER_GROUPS[length - code.length] || [3, 3];
+  result.display = `${prefix}${code}${subscriber ? ` ${groupDigits(subscriber, groups)}` : ''}`;
+
+  if (nsn.length < length) {
+    result.error = 'phoneTooShort';
+  } else if (nsn.length > length) {
+    result.error = 'phoneTooLong';
+  } else {
+    result.valid = true;
+    result.e164 = `+${BG_COUNTRY_CODE}${nsn}`;
+  }
+
+  return result;
+};
+
+// Basic E.164: a country code that doesn't start with 0, at most 15 digits
+const parseInternationalPhone = (digits) => {
+  const result = { valid: false, error: null, type: 'international', e164: null };
+  const ccLength = SHORT_COUNTRY_CODES.find(cc => digits.startsWith(cc))?.length || 3;
+  const countryCode = digits.slice(0, ccLength);
+  const rest = digits.slice(ccLength);
+
+  // Groups of three, ending in four rather than leaving a single digit
+  const sizes = Array(Math.ceil(rest.length / 3)).fill(3);
+  if (rest.length > 4 && rest.length % 3 === 1) sizes.splice(-2, 2, 4);
+  result.display = `+${countryCode}${rest ? ` ${groupDigits(rest, sizes)}` : ''}`;
+
+  if (digits.startsWith('0')) {
+    result.error = 'phonePrefix';
+  } else if (digits.length < 8) {
+    result.error = 'phoneTooShort';
+  } else if (digits.length > 15) {
+    result.error = 'phoneTooLong';
+  } else {
+    result.valid = true;
+    result.e164 = `+${digits}`;
+  }
+
+  return result;
+};
+
+// Returns { valid, error, type, e164, display }; also works on partial
+// input, so display can be used to format as you type
+export const parsePhone = (input) => {
+  const value = String(input).trim();
+
+  if (/[^\d\s\-()+./]/.test(value) || value.indexOf('+') > 0) {
+    return { valid: false, error: 'phone', type: null, e164: null, display: value };
+  }
+
+  let digits = value.replace(/\D/g, '');
+  let international = value.startsWith('+');
+
+  if (!international && digits.startsWith('00')) {
+    international = true;
+    digits = digits.slice(2);
+  } else if (!international && digits.startsWith(BG_COUNTRY_CODE) && digits.length > 9) {
+    // 359 88 123 4567 typed without the plus
+    international = true;
+  }
+
+  if (international) {
+    return digits.startsWith(BG_COUNTRY_CODE)
+      ? parseBulgarianPhone(digits.slice(BG_COUNTRY_CODE.length), `+${BG_COUNTRY_CODE} `)
+      : parseInternationalPhone(digits);
+  }
+
+  return digits.startsWith('0')
+    ? parseBulgarianPhone(digits.slice(1), '0')
+    : parseBulgarianPhone(digits, '');
+};
+
+// Formats a tel input as you type and keeps a hidden E.164 copy in sync
+export class PhoneInput extends Component {
+  constructor(input, normalizedField) {
+    super(input);
+    this.input = input;
+    this.normalizedField = normalizedField;
+  }
+
+  init() {
+    this.listen(this.input, 'input', (e) => this.handleInput(e));
+    this.listen(this.input.form, 'reset', () => {
+      // Hidden inputs keep their value across form.reset()
+      if (this.normalizedField) this.normalizedField.value = '';
+    });
+  }
+
+  handleInput(e) {
+    const { value, selectionStart } = this.input;
+    let significant = value.slice(0, selectionStart).replace(/\D/g, '').length;
+    let source = value;
+
+    // Backspace over a space would only bring the space back: drop the digit before it
+    if (e.inputType === 'deleteContentBackward' && this.previous
+        && value.replace(/[^\d+]/g, '') === this.previous.replace(/[^\d+]/g, '')) {
+      const before = value.slice(0, selectionStart).replace(/\d(?=\D*$)/, '');
+      source = before + value.slice(selectionStart);
+      significant = Math.max(0, significant - 1);
+    }
+
+    const phone = parsePhone(source);
+    const formatted = source.trim() ? phone.display : '';
+
+    if (formatted !== value) {
+      this.input.value = formatted;
+
+      // Put the caret back after the same digit (or the leading plus)
+      let caret = formatted.startsWith('+') && selectionStart > 0 ? 1 : 0;
+      let seen = 0;
+      while (caret < formatted.length && seen < significant) {
+        if (/\d/.test(formatted[caret])) seen++;
+        caret++;
+      }
+      this.input.setSelectionRange(caret, caret);
+    }
+
+    this.previous = this.input.value;
+    this.update(phone);
+  }
+
+  update(phone = parsePhone(this.input.value)) {
+    if (this.normalizedField) {
+      this.normalizedField.value = phone.e164 || '';
+    }
+    return phone;
+  }
+}
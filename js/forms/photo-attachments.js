@@ -0,0 +1,241 @@
+/**
+ * Photo attachments for the quote form
+ */
+
+import { Component } from '../core/component.js';
+import { t } from '../core/i18n.js';
+import { findErrorElement } from '../core/utils.js';
+
+// Photos are decoded, downscaled and re-encoded as JPEG on a canvas before
+// upload. Re-encoding also drops EXIF data such as GPS position and camera.
+export class PhotoAttachments extends Component {
+  constructor(container, form) {
+    super(container);
+    this.container = container;
+    this.form = form;
+    this.input = container.querySelector('input[type="file"][name]');
+    this.cameraInput = container.querySelector('input[capture]');
+    this.cameraButton = container.querySelector('.attachment-camera');
+    this.dropzone = container.querySelector('.attachment-dropzone');
+    this.list = container.querySelector('.attachment-list');
+    this.hint = container.querySelector('.attachment-hint');
+    this.errorElement = findErrorElement(form, this.input);
+
+    const { maxFiles, maxSize, maxDimension, quality } = container.dataset;
+    this.maxFiles = parseInt(maxFiles, 10) || 5;
+    this.maxSize = (parseFloat(maxSize) || 15) * 1024 * 1024;
+    this.maxDimension = parseInt(maxDimension, 10) || 1600;
+    this.quality = parseFloat(quality) || 0.8;
+    this.types = this.input.accept.split(',').map(type => type.trim());
+
+    // { id, name, file, url, pending }
+    this.items = [];
+    this.nextId = 1;
+  }
+
+  init() {
+    this.listen(this.input, 'change', () => this.handleFiles(this.input));
+    this.listen(this.cameraInput, 'change', () => this.handleFiles(this.cameraInput));
+
+    // Camera capture only makes sense on phones and tablets
+    if (this.cameraInput && window.matchMedia('(pointer: coarse)').matches) {
+      this.cameraInput.hidden = false;
+      this.cameraButton.hidden = false;
+    }
+
+    this.listen(this.dropzone, 'dragover', (e) => {
+      e.preventDefault();
+      this.dropzone.classList.add('is-dragover');
+    });
+    this.listen(this.dropzone, 'dragleave', () => this.dropzone.classList.remove('is-dragover'));
+    this.listen(this.dropzone, 'drop', (e) => {
+      e.preventDefault();
+      this.dropzone.classList.remove('is-dragover');
+      this.addFiles([...e.dataTransfer.files]);
+    });
+
+    this.listen(this.list, 'click', (e) => {
+      const button = e.target.closest('.attachment-remove');
+      if (button) this.remove(Number(button.dataset.id));
+    });
+
+    this.listen(this.form, 'reset', () => this.clear());
+    this.listen(document, 'i18n:change', () => this.render());
+    // Thumbnails hold object URLs until they are released
+    this.onDestroy(() => this.clear());
+
+    this.render();
+    this.container.hidden = false;
+  }
+
+  handleFiles(input) {
+    this.addFiles([...input.files]);
+    // Allow picking the same file again after removing it
+    input.value = '';
+  }
+
+  addFiles(files) {
+    this.clearError();
+    const free = this.maxFiles - this.items.length;
+
+    if (files.length > free) {
+      this.showError(t('form.photos.errors.count', { max: this.maxFiles }));
+    }
+
+    files.slice(0, Math.max(free, 0)).forEach(file => {
+      if (!this.types.includes(file.type)) {
+        this.showError(t('form.photos.errors.type', { name: file.name }));
+        return;
+      }
+      if (file.size > this.maxSize) {
+        this.showError(t('form.photos.errors.size', { name: file.name, max: this.maxSize / 1024 / 1024 }));
+        return;
+      }
+
+      const item = { id: this.nextId++, name: file.name, file: null, url: null };
+      item.pending = this.compress(file)
+        .then((blob) => {
+          // Removed, or the form reset, while it was being processed
+          if (!this.items.includes(item)) return;
+
+          item.file = new File([blob], `photo-${item.id}.jpg`, { type: 'image/jpeg' });
+          item.url = URL.createObjectURL(blob);
+        })
+        .catch((error) => {
+          console.error('Photo could not be processed:', error);
+          if (!this.items.includes(item)) return;
+          this.showError(t('form.photos.errors.processing', { name: file.name }));
+          this.items = this.items.filter(other => other !== item);
+        })
+        .finally(() => {
+          item.pending = null;
+          this.render();
+        });
+
+      this.items.push(item);
+    });
+
+    this.render();
+  }
+
+  async compress(file) {
+    const image = await this.decode(file);
+    const scale = Math.min(1, this.maxDimension / Math.max(image.width, image.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(image.width * scale);
+    canvas.height = Math.round(image.height * scale);
+
+    const context = canvas.getContext('2d');
+    // JPEG has no transparency: give PNGs a white background
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    image.close?.();
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', this.quality));
+    if (!blob) throw new Error('Canvas export failed');
+    return blob;
+  }
+
+  // createImageBitmap applies the EXIF orientation before it is stripped
+  decode(file) {
+    if ('createImageBitmap' in window) {
+      return createImageBitmap(file, { imageOrientation: 'from-image' });
+    }
+
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(file);
+      const image = new Image();
+      image.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(image);
+      };
+      image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error(`Cannot decode ${file.name}`));
+      };
+      image.src = url;
+    });
+  }
+
+  remove(id) {
+    const item = this.items.find(other => other.id === id);
+    if (!item) return;
+
+    if (item.url) URL.revokeObjectURL(item.url);
+    this.items = this.items.filter(other => other !== item);
+    this.clearError();
+    this.render();
+    this.input.focus();
+  }
+
+  clear() {
+    this.items.forEach(item => item.url && URL.revokeObjectURL(item.url));
+    this.items = [];
+    this.clearError();
+    this.render();
+  }
+
+  render() {
+    this.hint.textContent = t('form.photos.hint', {
+      max: this.maxFiles,
+      size: this.maxSize / 1024 / 1024
+    });
+
+    this.list.innerHTML = '';
+    this.items.forEach((item, index) => {
+      const li = document.createElement('li');
+      li.className = 'attachment-item';
+
+      if (item.pending) {
+        li.classList.add('is-processing');
+        li.textContent = t('form.photos.processing');
+      } else {
+        const image = document.createElement('img');
+        image.src = item.url;
+        image.alt = t('form.photos.thumbAlt', { n: index + 1 });
+
+        const size = document.createElement('span');
+        size.className = 'attachment-size';
+        size.textContent = `${Math.max(1, Math.round(item.file.size / 1024))} KB`;
+
+        li.append(image, size);
+      }
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'attachment-remove';
+      remove.dataset.id = item.id;
+      remove.setAttribute('aria-label', t('form.photos.remove', { n: index + 1 }));
+      remove.textContent = '×';
+      li.appendChild(remove);
+
+      this.list.appendChild(li);
+    });
+  }
+
+  showError(message) {
+    if (this.errorElement) this.errorElement.textContent = message;
+  }
+
+  clearError() {
+    if (this.errorElement) this.errorElement.textContent = '';
+    this.input.classList.remove('error');
+    this.input.setAttribute('aria-invalid', 'false');
+  }
+
+  get count() {
+    return this.items.length;
+  }
+
+  // Waits for photos still being processed, then replaces the raw file
+  // input's entry with the compressed files. Returns how many were added.
+  async appendTo(formData) {
+    await Promise.all(this.items.map(item => item.pending));
+
+    formData.delete(this.input.name);
+    const files = this.items.filter(item => item.file);
+    files.forEach(item => formData.append(this.input.name, item.file, item.file.name));
+    return files.length;
+  }
+}
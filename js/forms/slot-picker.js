@@ -0,0 +1,242 @@
+/**
+ * Appointment slot picker: free dates and times from data/schedule.json
+ */
+
+import { Component } from '../core/component.js';
+import { i18n, t } from '../core/i18n.js';
+import { addDays, formatTime, getZonedParts, loadJSON, parseTime, zonedTimeToDate } from '../core/utils.js';
+
+export class SlotPicker extends Component {
+  constructor(container, form) {
+    super(container);
+    this.container = container;
+    this.form = form;
+    this.schedule = null;
+  }
+
+  async init() {
+    let schedule;
+    try {
+      schedule = await loadJSON(this.container.dataset.schedule || 'data/schedule.json');
+    } catch (error) {
+      // The form still works without a preferred date
+      console.error('Appointment slots unavailable:', error);
+      return;
+    }
+    if (this.destroyed) return;
+
+    this.schedule = schedule;
+    this.dateSelect = this.container.querySelector('[name="appointment_date"]');
+    this.timeSelect = this.container.querySelector('[name="appointment_time"]');
+    this.serviceSelect = this.form.querySelector('[name="service"]');
+
+    this.listen(this.dateSelect, 'change', () => this.renderTimes());
+    this.listen(this.serviceSelect, 'change', () => this.renderDates());
+    this.listen(document, 'i18n:change', () => this.renderDates());
+
+    this.renderDates();
+    this.container.hidden = false;
+  }
+
+  getSlotLength() {
+    const service = this.serviceSelect?.value;
+    return this.schedule.slotLength[service] || this.schedule.slotLength.default;
+  }
+
+  getHours(date) {
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    const hours = this.schedule.hoursByDay?.[weekday] || this.schedule.hours;
+    return { start: parseTime(hours.start), end: parseTime(hours.end) };
+  }
+
+  isWorkingDay(date) {
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    return this.schedule.workingDays.includes(weekday) && !this.schedule.blockedDates.includes(date);
+  }
+
+  isBooked(date, start, length) {
+    return this.schedule.booked.some(booking => {
+      const [bookedDate, bookedTime] = booking.start.split('T');
+      if (bookedDate !== date) return false;
+
+      const bookedStart = parseTime(bookedTime);
+      return start < bookedStart + booking.duration && bookedStart < start + length;
+    });
+  }
+
+  // Free slots for a date, skipping booked ones and those inside the notice period
+  getSlots(date) {
+    if (!this.isWorkingDay(date)) return [];
+
+    const { timeZone, minNoticeHours } = this.schedule;
+    const earliest = Date.now() + minNoticeHours * 60 * 60 * 1000;
+    const length = this.getSlotLength();
+    const { start, end } = this.getHours(date);
+    const slots = [];
+
+    for (let time = start; time + length <= end; time += length) {
+      if (zonedTimeToDate(date, time, timeZone).getTime() < earliest) continue;
+      if (this.isBooked(date, time, length)) continue;
+      slots.push(time);
+    }
+
+    return slots;
+  }
+
+  renderDates() {
+    const { timeZone, horizonDays } = this.schedule;
+    const today = getZonedParts(new Date(), timeZone).date;
+    const selected = this.dateSelect.value;
+    const formatter = new Intl.DateTimeFormat(i18n.intlLocale, {
+      weekday: 'long',
+      day: 'numeric',
+      month: 'long',
+      timeZone: 'UTC'
+    });
+
+    this.dateSelect.innerHTML = '';
+    this.dateSelect.add(new Option(t('slots.noPreference'), ''));
+
+    for (let offset = 0; offset <= horizonDays; offset++) {
+      const date = addDays(today, offset);
+      if (this.getSlots(date).length === 0) continue;
+
+      this.dateSelect.add(new Option(formatter.format(new Date(`${date}T00:00:00Z`)), date));
+    }
+
+    // Keep the previous choice if it is still available
+    if (Array.from(this.dateSelect.options).some(option => option.value === selected)) {
+      this.dateSelect.value = selected;
+    }
+    this.renderTimes();
+  }
+
+  renderTimes() {
+    const date = this.dateSelect.value;
+    const selected = this.timeSelect.value;
+    const length = this.getSlotLength();
+
+    this.timeSelect.innerHTML = '';
+    this.timeSelect.add(new Option(t(date ? 'slots.chooseTime' : 'slots.chooseDateFirst'), ''));
+    this.timeSelect.disabled = !date;
+
+    if (!date) return;
+
+    this.getSlots(date).forEach(time => {
+      this.timeSelect.add(new Option(`${formatTime(time)} – ${formatTime(time + length)}`, formatTime(time)));
+    });
+
+    if (Array.from(this.timeSelect.options).some(option => option.value === selected)) {
+      this.timeSelect.value = selected;
+    }
+  }
+
+  // Message key for a problem with the chosen slot, or '' when there is none
+  validate() {
+    if (!this.schedule) return '';
+
+    const date = this.dateSelect.value;
+    const time = this.timeSelect.value;
+
+    if (!date) return '';
+    if (!time) return 'form.errors.slotTime';
+
+    // The page may have been open long enough for the slot to pass
+    if (!this.getSlots(date).includes(parseTime(time))) {
+      return 'form.errors.slotTaken';
+    }
+
+    return '';
+  }
+
+  getSelection() {
+    if (!this.schedule || !this.dateSelect.value || !this.timeSelect.value) return null;
+
+    const { timeZone } = this.schedule;
+    const date = this.dateSelect.value;
+    const minutes = parseTime(this.timeSelect.value);
+    const length = this.getSlotLength();
+
+    return {
+      start: zonedTimeToDate(date, minutes, timeZone),
+      end: zonedTimeToDate(date, minutes + length, timeZone)
+    };
+  }
+
+  // Mark a slot as taken locally so it isn't offered again on this page
+  reserve(selection) {
+    const { date, minutes } = getZonedParts(selection.start, this.schedule.timeZone);
+    this.schedule.booked.push({
+      start: `${date}T${formatTime(minutes)}`,
+      duration: (selection.end - selection.start) / 60000
+    });
+  }
+
+  // Re-sync the selects after form.reset()
+  reset() {
+    if (this.schedule) {
+      this.renderDates();
+    }
+  }
+
+  offerCalendarEvent(selection, details) {
+    const download = this.form.querySelector('.appointment-download');
+    if (!download) return;
+
+    const link = download.querySelector('a');
+    if (link.href.startsWith('blob:')) {
+      URL.revokeObjectURL(link.href);
+    }
+
+    const ics = this.buildCalendarEvent(selection, details);
+    link.href = URL.createObjectURL(new Blob([ics], { type: 'text/calendar;charset=utf-8' }));
+    download.hidden = false;
+  }
+
+  buildCalendarEvent({ start, end }, { service, name }) {
+    const stamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const escape = (text) => text
+      .replace(/\\/g, '\\\\')
+      .replace(/\n/g, '\\n')
+      .replace(/([,;])/g, '\\$1');
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Тоби Тобиас ЕООД//Заявка за почистване//BG',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      'BEGIN:VEVENT',
+      `UID:${stamp(start)}-${Math.random().toString(36).slice(2)}@tobi-tobias.bg`,
+      `DTSTAMP:${stamp(new Date())}`,
+      `DTSTART:${stamp(start)}`,
+      `DTEND:${stamp(end)}`,
+      `SUMMARY:${escape(`${service || t('calendar.defaultService')} – Тоби Тобиас`)}`,
+      `DESCRIPTION:${escape(t('calendar.description', { name }))}`,
+      'STATUS:TENTATIVE',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ];
+
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+
+  // RFC 5545: lines longer than 75 octets continue on the next line after a space
+  foldLine(line) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    let current = '';
+
+    for (const char of line) {
+      const limit = chunks.length === 0 ? 75 : 74;
+      if (encoder.encode(current + char).length > limit) {
+        chunks.push(current);
+        current = '';
+      }
+      current += char;
+    }
+    chunks.push(current);
+
+    return chunks.join('\r\n ');
+  }
+}
@@ -0,0 +1,152 @@
+/**
+ * Spam protection for the quote form: honeypot, timing, throttling,
+ * duplicate detection and a proof of work from the server
+ */
+
+import { Component } from '../core/component.js';
+import { leadingZeroBits, sha256, wait } from '../core/utils.js';
+
+// Invisible checks in place of a CAPTCHA. check() returns a reason code
+// ('honeypot', 'too_fast', 'throttled', 'duplicate') or null.
+export class SpamGuard extends Component {
+  constructor(form, options = {}) {
+    super(form);
+    this.form = form;
+    this.honeypot = form.querySelector('.form-honeypot input');
+    this.challengeUrl = form.dataset.challenge || null;
+    this.minSubmitTime = options.minSubmitTime ?? 3000;
+    this.throttleWindow = options.throttleWindow ?? 60 * 1000;
+    this.duplicateWindow = options.duplicateWindow ?? 24 * 60 * 60 * 1000;
+    this.proofTimeout = options.proofTimeout ?? 8000;
+    // One history per form: a quote and a callback from the same phone are
+    // different requests
+    this.storageKey = `quote-history:${form.dataset.formName || 'contact_form'}`;
+    this.reset();
+  }
+
+  init() {
+    // Timing starts when the visitor starts on the form, not at page load:
+    // the modal and callback forms open long after it.
+    // Only visitors who engage with the form pay for the proof of work
+    this.listen(this.form, 'focusin', () => {
+      this.startedAt ??= Date.now();
+      this.prepareProof();
+    });
+  }
+
+  reset() {
+    this.startedAt = null;
+    this.proof = null;
+  }
+
+  async check(formData) {
+    if (this.honeypot && this.honeypot.value) return 'honeypot';
+
+    // Scripts that submit without ever focusing a field have no start time
+    const now = Date.now();
+    if (this.startedAt === null || now - this.startedAt < this.minSubmitTime) return 'too_fast';
+
+    const history = this.readHistory();
+    if (history.some(entry => now - entry.at < this.throttleWindow)) return 'throttled';
+
+    const fingerprint = await this.fingerprint(formData);
+    if (history.some(entry => entry.fingerprint === fingerprint)) return 'duplicate';
+
+    return null;
+  }
+
+  // Sent requests are remembered by a hash, never by the phone number itself
+  async remember(formData) {
+    const history = this.readHistory();
+    history.push({ at: Date.now(), fingerprint: await this.fingerprint(formData) });
+
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(history));
+    } catch (error) {
+      // Storage may be unavailable; throttling then only lasts for this page view
+      this.memoryHistory = history;
+    }
+  }
+
+  readHistory() {
+    let history = this.memoryHistory || [];
+    try {
+      history = JSON.parse(localStorage.getItem(this.storageKey)) || history;
+    } catch (error) {
+      // Unreadable history is treated as empty
+    }
+
+    const now = Date.now();
+    return Array.isArray(history)
+      ? history.filter(entry => entry && now - entry.at < this.duplicateWindow)
+      : [];
+  }
+
+  async fingerprint(formData) {
+    const phone = String(formData.get('phone_e164') || formData.get('phone') || '').replace(/\D/g, '').slice(-9);
+    const message = String(formData.get('message') || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    const text = `${phone}|${message}`;
+
+    if (window.crypto?.subtle) {
+      const bytes = await sha256(text);
+      return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    // FNV-1a when SubtleCrypto is unavailable (plain http)
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    }
+    return (hash >>> 0).toString(16);
+  }
+
+  // Fetches a signed challenge from data-challenge and solves it in the
+  // background; the server verifies the result on submission
+  prepareProof() {
+    if (!this.challengeUrl || !window.crypto?.subtle) return null;
+
+    if (!this.proof) {
+      this.proof = this.solveChallenge().catch((error) => {
+        console.warn('Proof of work unavailable:', error);
+        this.proof = null;
+        return null;
+      });
+    }
+    return this.proof;
+  }
+
+  async solveChallenge() {
+    const response = await fetch(this.challengeUrl, {
+      headers: { 'Accept': 'application/json' },
+      credentials: 'same-origin'
+    });
+    if (!response.ok) {
+      throw new Error(`Challenge request failed with status ${response.status}`);
+    }
+
+    const { challenge, difficulty, issued, signature } = await response.json();
+
+    for (let nonce = 0; ; nonce++) {
+      // A form taken off the page (closed modal, re-rendered panel) stops hashing
+      if (this.destroyed) return null;
+      if (leadingZeroBits(await sha256(`${challenge}${nonce}`)) >= difficulty) {
+        return [challenge, difficulty, issued, signature, nonce].join('.');
+      }
+      // Give the main thread a break so typing stays smooth
+      if (nonce % 500 === 499) await wait(0);
+    }
+  }
+
+  // Without a proof the request is still sent: offline, the service worker
+  // queues it and the server accepts the replay as unverified; online, the
+  // server refuses it and the form starts over with a fresh challenge
+  async attachProof(formData) {
+    const pending = this.prepareProof();
+    if (!pending) return;
+
+    const proof = await Promise.race([pending, wait(this.proofTimeout).then(() => null)]);
+    if (proof) {
+      formData.set('spam_proof', proof);
+    }
+  }
+}
@@ -0,0 +1,155 @@
+/**
+ * Form submission transports: JSON/multipart requests with retries, or mailto
+ */
+
+import { i18n, t } from '../core/i18n.js';
+import { wait } from '../core/utils.js';
+
+export class SubmissionError extends Error {
+  constructor(message, { status = 0, fieldErrors = null, retryable = false, reason = null } = {}) {
+    super(message);
+    this.name = 'SubmissionError';
+    this.status = status;
+    this.fieldErrors = fieldErrors;
+    this.retryable = retryable;
+    this.reason = reason;
+  }
+}
+
+export class FormTransport {
+  constructor(options = {}) {
+    this.endpoint = options.endpoint;
+    this.encoding = options.encoding === 'multipart' ? 'multipart' : 'json';
+    this.timeout = options.timeout || 10000;
+    this.retries = options.retries ?? 2;
+    this.backoff = options.backoff || 500;
+  }
+
+  // Configuration comes from data attributes on the form:
+  // data-endpoint, data-encoding, data-timeout, data-retries, data-mailto
+  static fromForm(form) {
+    const { endpoint, encoding, timeout, retries, mailto } = form.dataset;
+
+    if (!endpoint) {
+      return new MailtoTransport({ address: mailto || 'info@tobi-tobias.bg' });
+    }
+
+    return new FormTransport({
+      endpoint,
+      encoding,
+      timeout: timeout ? parseInt(timeout, 10) : undefined,
+      retries: retries ? parseInt(retries, 10) : undefined
+    });
+  }
+
+  // options.onProgress(percent) reports upload progress for requests with files
+  async send(formData, options = {}) {
+    let attempt = 0;
+
+    while (true) {
+      try {
+        return await this.request(formData, options);
+      } catch (error) {
+        if (!error.retryable || attempt >= this.retries) throw error;
+
+        // Exponential backoff: 500ms, 1s, 2s...
+        await wait(this.backoff * 2 ** attempt);
+        attempt++;
+      }
+    }
+  }
+
+  async request(formData, { onProgress } = {}) {
+    const controller = new AbortController();
+    let timer = setTimeout(() => controller.abort(), this.timeout);
+    const options = {
+      method: 'POST',
+      headers: { 'Accept': 'application/json', 'Accept-Language': i18n.locale },
+      credentials: 'same-origin',
+      signal: controller.signal
+    };
+
+    // Files can't travel as JSON: requests with photos are always multipart
+    const hasFiles = [...formData.values()].some(value => value instanceof Blob);
+
+    if (this.encoding === 'json' && !hasFiles) {
+      options.headers['Content-Type'] = 'application/json';
+      options.body = JSON.stringify(Object.fromEntries(formData));
+    } else {
+      // Let the browser set the multipart boundary
+      options.body = formData;
+    }
+
+    let response;
+    try {
+      if (hasFiles && onProgress) {
+        // Uploads can outlast the timeout, so it only counts time without progress
+        response = await this.upload(options, (percent) => {
+          clearTimeout(timer);
+          timer = setTimeout(() => controller.abort(), this.timeout);
+          onProgress(percent);
+        });
+      } else {
+        response = await fetch(this.endpoint, options);
+      }
+    } catch (error) {
+      const timedOut = error.name === 'AbortError';
+      throw new SubmissionError(timedOut ? 'Request timed out' : 'Network error', { retryable: true });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const payload = await response.json().catch(() => ({}));
+
+    if (response.ok) return payload;
+
+    throw new SubmissionError(payload.message || `Request failed with status ${response.status}`, {
+      status: response.status,
+      fieldErrors: payload.errors || null,
+      retryable: response.status >= 500,
+      reason: payload.reason || null
+    });
+  }
+
+  // fetch can't report upload progress; XHR can. Resolves with the parts
+  // of a fetch Response that request() uses.
+  upload(options, onProgress) {
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      xhr.open(options.method, this.endpoint);
+      Object.entries(options.headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+      xhr.upload.addEventListener('progress', (e) => {
+        if (e.lengthComputable) onProgress(Math.round((e.loaded / e.total) * 100));
+      });
+      xhr.addEventListener('load', () => resolve({
+        ok: xhr.status >= 200 && xhr.status < 300,
+        status: xhr.status,
+        json: async () => JSON.parse(xhr.responseText)
+      }));
+      xhr.addEventListener('error', () => reject(new TypeError('Network error')));
+      xhr.addEventListener('abort', () => reject(new DOMException('Upload aborted', 'AbortError')));
+      options.signal.addEventListener('abort', () => xhr.abort());
+
+      xhr.send(options.body);
+    });
+  }
+}
+
+export class MailtoTransport {
+  constructor({ address }) {
+    this.address = address;
+  }
+
+  async send(formData) {
+    const data = Object.fromEntries(formData);
+    const subject = data.name ? t('form.mailSubject', { name: data.name }) : t('form.mailSubjectAnonymous');
+    const body = Object.entries(data)
+      .filter(([, value]) => typeof value === 'string' && value.trim())
+      .map(([key, value]) => `${key}: ${value}`)
+      .join('\n');
+
+    window.location.href = `mailto:${this.address}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+    return { ok: true, mailto: true };
+  }
+}
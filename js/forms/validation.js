@@ -0,0 +1,137 @@
+/**
+ * Validation schema for quote and callback requests
+ *
+ * Plain data and pure functions, no DOM or i18n: ContactForm runs it as the
+ * fields are filled in, and server/dev-server.js imports this file unchanged
+ * to check the same submissions. Both report errors as { field: message }.
+ *
+ * Each field lists its rules in order; the first one that fails gives the
+ * error. Built-in rules other than `required` skip empty values; `custom`
+ * rules see every value, so they can also object to a field left empty.
+ *
+ * A rule's `message` is a catalog key (form.errors.*) or per-locale text
+ * ({ bg, en }), filled in with the rule's own parameters ({min}, {max});
+ * `name` is the rule name reported to analytics (defaults to `type`).
+ */
+
+import { parsePhone } from './phone.js';
+
+export const SERVICES = ['office', 'bathroom', 'kitchen', 'furniture', 'other'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const CALLBACK_WINDOW_PATTERN = /^([01]\d|2[0-3]):[0-5]\d-([01]\d|2[0-3]):[0-5]\d$/;
+
+// check(value, rule, data) is true when the value passes. Otherwise it is
+// false, or { name, message } when the failure needs its own wording.
+const RULE_TYPES = {
+  required: {
+    check: (value) => value !== '',
+    message: 'form.errors.required'
+  },
+  minLength: {
+    check: (value, { min }) => value.length >= min,
+    message: 'form.errors.tooShort'
+  },
+  maxLength: {
+    check: (value, { max }) => value.length <= max,
+    message: 'form.errors.tooLong'
+  },
+  email: {
+    check: (value) => EMAIL_PATTERN.test(value),
+    message: 'form.errors.email'
+  },
+  // Bulgarian numbering plan or international E.164, see phone.js
+  phone: {
+    check: (value) => {
+      const { valid, error } = parsePhone(value);
+      return valid || { name: error, message: `form.errors.${error}` };
+    },
+    message: 'form.errors.phone'
+  },
+  enum: {
+    check: (value, { values }) => values.includes(value),
+    message: 'form.errors.choice'
+  },
+  custom: {
+    check: (value, rule, data) => rule.check(value, data),
+    message: 'form.errors.invalid'
+  }
+};
+
+export const quoteSchema = {
+  name: [
+    { type: 'required' },
+    { type: 'minLength', min: 2, name: 'nameLength', message: 'form.errors.nameLength' },
+    { type: 'maxLength', max: 100 }
+  ],
+  phone: [
+    { type: 'required' },
+    { type: 'phone' }
+  ],
+  email: [
+    { type: 'maxLength', max: 254 },
+    { type: 'email' }
+  ],
+  service: [
+    { type: 'enum', values: SERVICES }
+  ],
+  message: [
+    { type: 'maxLength', max: 2000 }
+  ],
+  // "asap" or one of the windows in data/business-hours.json, e.g. "15:00-18:00"
+  callback_window: [
+    {
+      type: 'custom',
+      name: 'callbackWindow',
+      check: (value) => !value || value === 'asap' || CALLBACK_WINDOW_PATTERN.test(value),
+      message: 'form.errors.choice'
+    }
+  ]
+};
+
+// Multipart bodies may repeat a name or carry files; only text is validated
+const readValue = (data, name) => (typeof data[name] === 'string' ? data[name].trim() : '');
+
+const formatMessage = (message, params, { locale, translate }) => {
+  if (message && typeof message === 'object') {
+    const text = message[locale] ?? Object.values(message)[0];
+    return String(text).replace(/\{(\w+)\}/g, (match, key) => (key in params ? params[key] : match));
+  }
+  return translate(message, params);
+};
+
+// The first failed rule for one field as { rule, message }, or null.
+// options: { locale, translate(key, params) } for the messages
+export const checkField = (schema, name, data, options) => {
+  const value = readValue(data, name);
+
+  for (const rule of schema[name] || []) {
+    const type = RULE_TYPES[rule.type];
+    if (!type) throw new Error(`Unknown validation rule "${rule.type}" for "${name}"`);
+    if (value === '' && rule.type !== 'required' && rule.type !== 'custom') continue;
+
+    const result = type.check(value, rule, data);
+    if (result === true) continue;
+
+    const failure = result && typeof result === 'object' ? result : {};
+    const { type: ruleType, check, name: ruleName, message, ...params } = rule;
+    return {
+      rule: failure.name || ruleName || ruleType,
+      message: formatMessage(failure.message || message || type.message, params, options)
+    };
+  }
+
+  return null;
+};
+
+// Every field in the schema: { field: message }, empty when data is valid
+export const validate = (schema, data, options) => {
+  const errors = {};
+
+  Object.keys(schema).forEach(name => {
+    const error = checkField(schema, name, data, options);
+    if (error) errors[name] = error.message;
+  });
+
+  return errors;
+};
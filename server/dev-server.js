@@ -0,0 +1,479 @@
+/**
+ * Тоби Тобиас - Local development server
+ * Serves the static site and a stand-in quote endpoint so the contact
+ * form round trip (including error responses) can be tested without a
+ * real backend. Uses only Node built-ins.
+ *
+ *   node server/dev-server.js [port]
+ *
+ * POST /api/quote accepts JSON or multipart/form-data; photos come as
+ * "photos" file parts (at most 5 JPEG, PNG or WebP images). Fields are
+ * checked with the browser's own schema (js/forms/validation.js). Append
+ * ?simulate=<mode> to the form's data-endpoint to exercise error paths:
+ *   server-error  - always 500 (the client retries, then gives up)
+ *   flaky         - 503 on the first two attempts, then success
+ *   timeout       - responds after 15 seconds (client aborts first)
+ *   invalid       - 422 with a field error for "phone"
+ *
+ * GET /api/challenge issues a signed proof-of-work challenge. A quote
+ * without a valid proof in "spam_proof" is rejected with 403 and a
+ * "reason". Only replays of requests the service worker queued offline
+ * (X-Queued-Submission: 1) may come without one or with an expired one;
+ * they are accepted but logged as unverified. A filled honeypot
+ * ("website") gets a normal-looking 201 and is dropped.
+ *
+ * POST /api/events is a stand-in analytics collector: it accepts the
+ * { sentAt, events: [{ name, properties, ... }] } batches sent by
+ * CollectorProvider and keeps the last few hundred events in memory.
+ * GET /api/events returns them so payloads can be inspected in tests.
+ */
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const PORT = parseInt(process.argv[2] || process.env.PORT || '8080', 10);
+const MAX_BODY = 10 * 1024 * 1024;
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.webmanifest': 'application/manifest+json'
+};
+
+const MAX_COLLECTED_EVENTS = 500;
+const MAX_PHOTOS = 5;
+const PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Proof-of-work: 2^14 hashes on average, a second or two in a browser
+const CHALLENGE_DIFFICULTY = 14;
+const CHALLENGE_TTL = 30 * 60 * 1000;
+const CHALLENGE_SECRET = process.env.CHALLENGE_SECRET || crypto.randomBytes(32).toString('hex');
+
+const flakyAttempts = new Map();
+const usedChallenges = new Map();
+const collectedEvents = [];
+
+// ====================================
+// Helpers
+// ====================================
+
+const sendJson = (res, status, payload) => {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(payload));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size > MAX_BODY) {
+      reject(new Error('Payload too large'));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
+// Minimal multipart/form-data parser: text fields become strings,
+// file parts become { filename, type, size, data }
+const parseMultipart = (buffer, boundary) => {
+  const fields = {};
+  const delimiter = Buffer.from(`--${boundary}`);
+  let start = buffer.indexOf(delimiter);
+
+  while (start !== -1) {
+    const next = buffer.indexOf(delimiter, start + delimiter.length);
+    if (next === -1) break;
+
+    // Part sits between the delimiter's CRLF and the CRLF before the next one
+    const part = buffer.slice(start + delimiter.length + 2, next - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+
+    if (headerEnd !== -1) {
+      const headers = part.slice(0, headerEnd).toString('utf8');
+      const content = part.slice(headerEnd + 4);
+      const name = /name="([^"]*)"/.exec(headers);
+      const filename = /filename="([^"]*)"/.exec(headers);
+      const type = /Content-Type:\s*([^\r\n]+)/i.exec(headers);
+
+      if (name) {
+        const value = filename
+          ? { filename: filename[1], type: type ? type[1] : 'application/octet-stream', size: content.length, data: content }
+          : content.toString('utf8');
+
+        if (name[1] in fields) {
+          fields[name[1]] = [].concat(fields[name[1]], value);
+        } else {
+          fields[name[1]] = value;
+        }
+      }
+    }
+
+    start = next;
+  }
+
+  return fields;
+};
+
+const parseSubmission = async (req) => {
+  const contentType = req.headers['content-type'] || '';
+  const body = await readBody(req);
+
+  if (contentType.includes('application/json')) {
+    // Arrays, strings and null are valid JSON but not a set of fields
+    const data = JSON.parse(body.toString('utf8') || '{}');
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('Expected a JSON object');
+    }
+    return data;
+  }
+
+  const boundary = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType);
+  if (contentType.includes('multipart/form-data') && boundary) {
+    return parseMultipart(body, boundary[1] || boundary[2]);
+  }
+
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    return Object.fromEntries(new URLSearchParams(body.toString('utf8')));
+  }
+
+  throw new Error(`Unsupported content type: ${contentType}`);
+};
+
+// ====================================
+// Quote Endpoint
+// ====================================
+
+// Field errors come from the same catalogs the browser uses
+const catalogs = {
+  bg: require('../locales/bg.json'),
+  en: require('../locales/en.json')
+};
+
+const pickLocale = (req) => {
+  const requested = (req.headers['accept-language'] || '').slice(0, 2).toLowerCase();
+  return catalogs[requested] ? requested : 'bg';
+};
+
+// The schema the contact form validates with, imported unchanged. It is an
+// ES module (js/package.json says so for Node; browsers ignore that file),
+// so it loads asynchronously; requests wait for it below
+const validation = import('../js/forms/validation.js');
+
+// Same lookup and {placeholder} interpolation as t() in js/core/i18n.js
+const translator = (locale) => (key, params = {}) => {
+  const lookup = (catalog) => key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+  const message = lookup(catalogs[locale]) ?? lookup(catalogs.bg);
+  if (typeof message !== 'string') return key;
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+};
+
+const validateQuote = async (data, locale = 'bg') => {
+  const { quoteSchema, validate } = await validation;
+  const translate = translator(locale);
+  const errors = validate(quoteSchema, data, { locale, translate });
+
+  // Empty file parts come from a file input nobody used
+  const photos = [].concat(data.photos || []).filter(photo => typeof photo === 'object' && photo.size > 0);
+  const unsupported = photos.find(photo => !PHOTO_TYPES.includes(photo.type));
+
+  if (photos.length > MAX_PHOTOS) {
+    errors.photos = translate('form.photos.errors.count', { max: MAX_PHOTOS });
+  } else if (unsupported) {
+    errors.photos = translate('form.photos.errors.type', { name: unsupported.filename });
+  }
+
+  return errors;
+};
+
+// ====================================
+// Spam Protection
+// ====================================
+
+const SPAM_FIELDS = ['website', 'spam_proof'];
+
+const signChallenge = (payload) => crypto
+  .createHmac('sha256', CHALLENGE_SECRET)
+  .update(payload)
+  .digest('hex');
+
+const leadingZeroBits = (buffer) => {
+  let bits = 0;
+  for (const byte of buffer) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+  return bits;
+};
+
+const handleChallenge = async (req, res) => {
+  const challenge = crypto.randomBytes(16).toString('hex');
+  const issued = Date.now();
+  const payload = `${challenge}.${CHALLENGE_DIFFICULTY}.${issued}`;
+
+  res.setHeader('Cache-Control', 'no-store');
+  sendJson(res, 200, {
+    challenge,
+    difficulty: CHALLENGE_DIFFICULTY,
+    issued,
+    signature: signChallenge(payload)
+  });
+};
+
+// Proof format: challenge.difficulty.issued.signature.nonce
+// Returns a rejection reason, or null when the proof holds
+const verifyProof = (proof, now = Date.now()) => {
+  const parts = String(proof).split('.');
+  if (parts.length !== 5) return 'malformed_proof';
+
+  const [challenge, difficulty, issued, signature, nonce] = parts;
+  const expected = Buffer.from(signChallenge(`${challenge}.${difficulty}.${issued}`));
+  const received = Buffer.from(signature);
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return 'invalid_signature';
+  }
+
+  const age = now - Number(issued);
+  if (age > CHALLENGE_TTL) return 'expired_proof';
+  if (usedChallenges.has(challenge)) return 'reused_proof';
+
+  const hash = crypto.createHash('sha256').update(`${challenge}${nonce}`).digest();
+  if (leadingZeroBits(hash) < Number(difficulty)) return 'insufficient_work';
+
+  return null;
+};
+
+// Only accepted leads burn their challenge, so fixing a 422 can reuse it
+const consumeProof = (proof, now = Date.now()) => {
+  const [challenge, , issued] = String(proof).split('.');
+  usedChallenges.set(challenge, Number(issued));
+  usedChallenges.forEach((issuedAt, key) => {
+    if (now - issuedAt > CHALLENGE_TTL) usedChallenges.delete(key);
+  });
+};
+
+const handleQuote = async (req, res, url) => {
+  const simulate = url.searchParams.get('simulate');
+
+  if (simulate === 'server-error') {
+    sendJson(res, 500, { ok: false, message: 'Simulated server error' });
+    return;
+  }
+
+  if (simulate === 'timeout') {
+    setTimeout(() => sendJson(res, 200, { ok: true }), 15000);
+    return;
+  }
+
+  if (simulate === 'flaky') {
+    const key = req.socket.remoteAddress;
+    const attempts = (flakyAttempts.get(key) || 0) + 1;
+    flakyAttempts.set(key, attempts);
+    if (attempts <= 2) {
+      sendJson(res, 503, { ok: false, message: `Simulated outage (attempt ${attempts})` });
+      return;
+    }
+    flakyAttempts.delete(key);
+  }
+
+  let data;
+  try {
+    data = await parseSubmission(req);
+  } catch (error) {
+    sendJson(res, 400, { ok: false, message: error.message });
+    return;
+  }
+
+  const id = `Q-${Date.now().toString(36).toUpperCase()}`;
+
+  // Bots get the same answer as people so they don't learn to skip the field
+  if (data.website) {
+    console.log(`[spam] ${id} dropped: honeypot`);
+    sendJson(res, 201, { ok: true, id });
+    return;
+  }
+
+  const proofResult = data.spam_proof ? verifyProof(data.spam_proof) : 'missing_proof';
+  const verified = proofResult === null;
+
+  // Requests queued offline had no challenge to solve, or arrive long after
+  // it expired; everything else needs a valid proof
+  const queued = req.headers['x-queued-submission'] === '1';
+  const excused = queued && (proofResult === 'missing_proof' || proofResult === 'expired_proof');
+  if (!verified && !excused) {
+    console.log(`[spam] ${id} rejected: ${proofResult}`);
+    sendJson(res, 403, { ok: false, message: 'Submission rejected', reason: proofResult });
+    return;
+  }
+
+  const locale = pickLocale(req);
+  const errors = simulate === 'invalid'
+    ? { phone: catalogs[locale].form.errors.phone }
+    : await validateQuote(data, locale);
+
+  if (Object.keys(errors).length > 0) {
+    sendJson(res, 422, { ok: false, message: 'Validation failed', errors });
+    return;
+  }
+
+  if (verified) consumeProof(data.spam_proof);
+
+  const lead = JSON.stringify(data, (key, value) => (key === 'data' || SPAM_FIELDS.includes(key) ? undefined : value));
+  console.log(`[quote] ${id}${verified ? '' : ' (unverified)'}`, lead);
+  sendJson(res, 201, { ok: true, id });
+};
+
+// ====================================
+// Analytics Collector
+// ====================================
+
+const isValidEvent = (event) => Boolean(event)
+  && typeof event.name === 'string'
+  && event.name.length > 0
+  && typeof event.properties === 'object'
+  && event.properties !== null
+  && !Array.isArray(event.properties);
+
+// sendBeacon can't set headers, so the body is parsed as JSON whatever its type
+const handleEvents = async (req, res) => {
+  let batch;
+  try {
+    batch = JSON.parse((await readBody(req)).toString('utf8'));
+  } catch (error) {
+    sendJson(res, 400, { ok: false, message: 'Invalid JSON' });
+    return;
+  }
+
+  if (!batch || !Array.isArray(batch.events)) {
+    sendJson(res, 400, { ok: false, message: 'Expected { events: [...] }' });
+    return;
+  }
+
+  const invalid = batch.events.findIndex(event => !isValidEvent(event));
+  if (invalid !== -1) {
+    sendJson(res, 422, { ok: false, message: `Invalid event at index ${invalid}` });
+    return;
+  }
+
+  collectedEvents.push(...batch.events);
+  collectedEvents.splice(0, Math.max(0, collectedEvents.length - MAX_COLLECTED_EVENTS));
+
+  batch.events.forEach(event => {
+    console.log(`[event] ${event.name}`, JSON.stringify(event.properties));
+  });
+
+  res.writeHead(204);
+  res.end();
+};
+
+const listEvents = async (req, res) => {
+  sendJson(res, 200, { ok: true, events: collectedEvents });
+};
+
+// ====================================
+// Static Files
+// ====================================
+
+const serveStatic = (req, res, url) => {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(url.pathname);
+  } catch (error) {
+    // Malformed percent-encoding, e.g. /%E0%A4%A
+    res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Bad request');
+    return;
+  }
+  if (pathname.endsWith('/')) pathname += 'index.html';
+
+  const filePath = path.join(ROOT, pathname);
+  if (!filePath.startsWith(ROOT + path.sep)) {
+    res.writeHead(403);
+    res.end('Forbidden');
+    return;
+  }
+
+  fs.readFile(filePath, (error, content) => {
+    if (error) {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Not found');
+      return;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+      'Cache-Control': 'no-cache'
+    });
+    res.end(req.method === 'HEAD' ? undefined : content);
+  });
+};
+
+// ====================================
+// Routing
+// ====================================
+
+const routes = {
+  'POST /api/quote': handleQuote,
+  'GET /api/challenge': handleChallenge,
+  'POST /api/events': handleEvents,
+  'GET /api/events': listEvents
+};
+
+const server = http.createServer((req, res) => {
+  // A fixed base, so a malformed Host header cannot throw here; only the
+  // path and query are used
+  let url;
+  try {
+    url = new URL(req.url, 'http://localhost');
+  } catch (error) {
+    // e.g. a protocol-relative target with an invalid host: //a b
+    sendJson(res, 400, { ok: false, message: 'Bad request' });
+    return;
+  }
+  const handler = routes[`${req.method} ${url.pathname}`];
+
+  if (handler) {
+    handler(req, res, url).catch(error => {
+      console.error(error);
+      sendJson(res, 500, { ok: false, message: 'Internal server error' });
+    });
+    return;
+  }
+
+  if (req.method === 'GET' || req.method === 'HEAD') {
+    serveStatic(req, res, url);
+    return;
+  }
+
+  sendJson(res, 405, { ok: false, message: 'Method not allowed' });
+});
+
+if (require.main === module) {
+  server.listen(PORT, () => {
+    console.log(`Dev server running at http://localhost:${PORT}`);
+  });
+}
+
+module.exports = { server, routes, parseMultipart, validateQuote, verifyProof, collectedEvents };
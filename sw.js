@@ -0,0 +1,296 @@
+/**
+ * Тоби Тобиас - Service Worker
+ * Precaches the app shell, serves it cache-first and queues quote
+ * requests made while offline so they are sent once the connection
+ * is back (Background Sync, or a replay message from the page).
+ */
+
+'use strict';
+
+const CACHE_VERSION = 'v19';
+const CACHE_NAME = `tobi-tobias-${CACHE_VERSION}`;
+const CACHE_PREFIX = 'tobi-tobias-';
+
+const PRECACHE_URLS = [
+  '/index.html',
+  '/styles/main.css',
+  '/js/main.js',
+  '/js/analytics/form-funnel.js',
+  '/js/analytics/providers.js',
+  '/js/components/accessibility-enhancements.js',
+  '/js/components/analytics.js',
+  '/js/components/before-after-slider.js',
+  '/js/components/callback-panel.js',
+  '/js/components/consent-manager.js',
+  '/js/components/contact-form.js',
+  '/js/components/coverage-checker.js',
+  '/js/components/faq.js',
+  '/js/components/header-scroll-effect.js',
+  '/js/components/language-switcher.js',
+  '/js/components/mobile-menu.js',
+  '/js/components/performance-optimizer.js',
+  '/js/components/portfolio-gallery.js',
+  '/js/components/portfolio-lightbox.js',
+  '/js/components/price-estimator.js',
+  '/js/components/quote-modal.js',
+  '/js/components/scroll-animations.js',
+  '/js/components/scrollspy.js',
+  '/js/components/smooth-scroll.js',
+  '/js/components/testimonials.js',
+  '/js/components/theme-switcher.js',
+  '/js/core/announcer.js',
+  '/js/core/component.js',
+  '/js/core/consent.js',
+  '/js/core/i18n.js',
+  '/js/core/registry.js',
+  '/js/core/scheduler.js',
+  '/js/core/theme.js',
+  '/js/core/utils.js',
+  '/js/forms/phone.js',
+  '/js/forms/photo-attachments.js',
+  '/js/forms/slot-picker.js',
+  '/js/forms/spam-guard.js',
+  '/js/forms/transport.js',
+  '/js/forms/validation.js',
+  '/locales/bg.json',
+  '/locales/en.json'
+];
+
+const QUEUE_DB = 'tobi-tobias-queue';
+const QUEUE_STORE = 'submissions';
+const SYNC_TAG = 'replay-submissions';
+const QUEUED_PATHS = ['/api/quote'];
+
+// ====================================
+// IndexedDB Queue
+// ====================================
+
+const openQueue = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(QUEUE_DB, 1);
+
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const queueTransaction = async (mode, callback) => {
+  const db = await openQueue();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(QUEUE_STORE, mode);
+    const result = callback(tx.objectStore(QUEUE_STORE));
+
+    tx.oncomplete = () => {
+      db.close();
+      resolve(result && 'result' in result ? result.result : undefined);
+    };
+    tx.onerror = () => {
+      db.close();
+      reject(tx.error);
+    };
+  });
+};
+
+const enqueueRequest = async (request, extraHeaders = {}) => {
+  const headers = {};
+  request.headers.forEach((value, key) => {
+    headers[key] = value;
+  });
+  Object.assign(headers, extraHeaders);
+
+  // Read the body before opening the transaction; awaiting inside it would auto-commit
+  const body = await request.arrayBuffer();
+
+  await queueTransaction('readwrite', store => store.add({
+    url: request.url,
+    method: request.method,
+    headers,
+    body,
+    queuedAt: Date.now()
+  }));
+};
+
+const getQueuedRequests = () => queueTransaction('readonly', store => store.getAll());
+
+const removeQueuedRequest = (id) => queueTransaction('readwrite', store => store.delete(id));
+
+let replaying = null;
+
+const replayQueue = () => {
+  // Sync events and page messages can overlap; share one replay run
+  if (!replaying) {
+    replaying = replayQueuedRequests().finally(() => {
+      replaying = null;
+    });
+  }
+  return replaying;
+};
+
+const replayQueuedRequests = async () => {
+  const entries = await getQueuedRequests();
+  let sent = 0;
+  let rejected = 0;
+
+  try {
+    for (const entry of entries) {
+      // A network error here means we're still offline: the rejection
+      // keeps the remaining entries queued for the next attempt
+      const response = await fetch(entry.url, {
+        method: entry.method,
+        headers: entry.headers,
+        body: entry.body,
+        credentials: 'same-origin'
+      });
+
+      // 5xx means the server may accept it later; anything else is final
+      if (response.status >= 500) {
+        throw new Error(`Replay failed with status ${response.status}`);
+      }
+
+      await removeQueuedRequest(entry.id);
+      if (response.ok) {
+        sent++;
+      } else {
+        rejected++;
+      }
+    }
+  } finally {
+    // The visitor was told these would be sent, so say what became of them,
+    // also for the ones that went out before a later one failed
+    if (sent > 0) {
+      await notifyClients({ type: 'queue-flushed', sent });
+    }
+    if (rejected > 0) {
+      await notifyClients({ type: 'queue-rejected', rejected });
+    }
+  }
+};
+
+const notifyClients = async (message) => {
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(client => client.postMessage(message));
+};
+
+// ====================================
+// Lifecycle
+// ====================================
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  // Remove caches left behind by previous versions
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// ====================================
+// Fetch Handling
+// ====================================
+
+const handleSubmission = async (request) => {
+  const queuedCopy = request.clone();
+
+  try {
+    return await fetch(request);
+  } catch (error) {
+    // Marks the replay for the server: it could not solve a challenge
+    // offline, or its proof may have expired by the time it is sent
+    await enqueueRequest(queuedCopy, { 'x-queued-submission': '1' });
+
+    if (self.registration.sync) {
+      await self.registration.sync.register(SYNC_TAG).catch(() => {});
+    }
+
+    return new Response(JSON.stringify({ ok: true, queued: true }), {
+      status: 202,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+};
+
+const cacheFirst = async (request) => {
+  const url = new URL(request.url);
+  const cacheKey = url.pathname === '/' ? '/index.html' : request;
+  const cached = await caches.match(cacheKey, { ignoreSearch: true });
+  if (cached) return cached;
+
+  try {
+    return await fetch(request);
+  } catch (error) {
+    // Offline navigation to any page falls back to the cached shell
+    if (request.mode === 'navigate') {
+      const shell = await caches.match('/index.html');
+      if (shell) return shell;
+    }
+    throw error;
+  }
+};
+
+// Data files change without a new release: prefer fresh, fall back to cache
+const networkFirst = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (url.origin !== self.location.origin) return;
+
+  if (request.method === 'POST' && QUEUED_PATHS.includes(url.pathname)) {
+    event.respondWith(handleSubmission(request));
+    return;
+  }
+
+  if (request.method !== 'GET') return;
+
+  if (request.mode === 'navigate' || PRECACHE_URLS.includes(url.pathname)) {
+    event.respondWith(cacheFirst(request));
+  } else if (url.pathname.startsWith('/data/')) {
+    event.respondWith(networkFirst(request));
+  }
+});
+
+// ====================================
+// Replay
+// ====================================
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === SYNC_TAG) {
+    event.waitUntil(replayQueue());
+  }
+});
+
+// Browsers without Background Sync ask for a replay on page load / when online
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'replay-queue') {
+    event.waitUntil(replayQueue().catch(() => {}));
+  }
+});